@@ -0,0 +1,148 @@
+/*
+ * Aggregation of logged tag values into time buckets (min, max, mean, time-weighted average, first, last, count, stddev).
+ *
+ * The time-weighted average integrates the value over time: with "step" interpolation a value is held until the next
+ * sample, with "linear" interpolation the value changes linearly between two samples. The bounding values before and
+ * after the requested interval (LEFTRIGHT_BOUNDING_VALUES) give the value at the start and the end of the interval.
+ * Samples with bad quality, when skipped, end the previous segment and do not contribute any time.
+*/
+
+export const AGGREGATES = ["min", "max", "mean", "timeWeightedAverage", "first", "last", "count", "stddev"];
+
+// Maximum number of buckets per tag, to protect the response size
+export const MAX_BUCKETS = 10000;
+
+// Number of buckets of the interval, throws if there are more than MAX_BUCKETS
+export function checkBucketCount(startTime, endTime, bucketMs) {
+  const bucketCount = Math.ceil((endTime - startTime) / bucketMs);
+  if (bucketCount > MAX_BUCKETS) {
+    throw new Error(`The interval would result in ${bucketCount} buckets per tag, at most ${MAX_BUCKETS} are allowed. Use a longer aggregation interval.`);
+  }
+  return bucketCount;
+}
+
+// Numbers and booleans as number, numeric strings parsed, everything else null
+function numericValue(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === "boolean") {
+    return value ? 1 : 0;
+  }
+  if (typeof value === "string" && value.trim() !== "") {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+}
+
+export function isBadQuality(quality) {
+  return !!quality?.quality && quality.quality.startsWith("BAD");
+}
+
+// loggedValues: the values array of one LoggedTagValuesResult (any sort order, may contain bounding values)
+// options: { startTime, endTime (ms), bucketMs, aggregates, skipBadQuality, interpolation: "step" | "linear" }
+// Returns { buckets, samples, skippedBadQuality, nonNumeric }
+export function aggregateLoggedValues(loggedValues, { startTime, endTime, bucketMs, aggregates = AGGREGATES, skipBadQuality = false, interpolation = "step" }) {
+  const bucketCount = checkBucketCount(startTime, endTime, bucketMs);
+
+  let skippedBadQuality = 0;
+  let nonNumeric = 0;
+  const samples = [];
+  for (const loggedValue of loggedValues || []) {
+    const time = Date.parse(loggedValue.value?.timestamp);
+    if (Number.isNaN(time)) {
+      continue;
+    }
+    const bad = isBadQuality(loggedValue.value?.quality);
+    if (bad && skipBadQuality) {
+      skippedBadQuality++;
+    }
+    const value = numericValue(loggedValue.value?.value);
+    if (value === null && !(bad && skipBadQuality)) {
+      nonNumeric++;
+    }
+    // Unusable samples are kept as gaps, so that the previous value is not held across them
+    samples.push({ time, value: bad && skipBadQuality ? null : value, timestamp: loggedValue.value.timestamp });
+  }
+  samples.sort((a, b) => a.time - b.time);
+
+  // Segments between two consecutive samples, the last one is held until the end of the interval
+  const segments = [];
+  for (let i = 0; i < samples.length; i++) {
+    const current = samples[i];
+    const next = samples[i + 1];
+    const end = next ? next.time : Math.max(endTime, current.time);
+    if (current.value === null || end <= current.time) {
+      continue;
+    }
+    const endValue = interpolation === "linear" && next && next.value !== null ? next.value : current.value;
+    segments.push({ start: current.time, end, startValue: current.value, endValue });
+  }
+
+  const buckets = [];
+  let sampleIndex = 0;
+  let segmentIndex = 0;
+  for (let b = 0; b < bucketCount; b++) {
+    const bucketStart = startTime + b * bucketMs;
+    const bucketEnd = Math.min(bucketStart + bucketMs, endTime);
+
+    // Statistics over the samples inside the bucket
+    while (sampleIndex < samples.length && samples[sampleIndex].time < bucketStart) {
+      sampleIndex++;
+    }
+    let count = 0, sum = 0, sumSquares = 0, min = null, max = null, first = null, last = null;
+    for (let i = sampleIndex; i < samples.length && samples[i].time < bucketEnd; i++) {
+      const sample = samples[i];
+      if (sample.value === null) {
+        continue;
+      }
+      count++;
+      sum += sample.value;
+      sumSquares += sample.value * sample.value;
+      min = min === null ? sample.value : Math.min(min, sample.value);
+      max = max === null ? sample.value : Math.max(max, sample.value);
+      first = first || { value: sample.value, timestamp: sample.timestamp };
+      last = { value: sample.value, timestamp: sample.timestamp };
+    }
+
+    // Integral over the segments overlapping the bucket
+    while (segmentIndex < segments.length && segments[segmentIndex].end <= bucketStart) {
+      segmentIndex++;
+    }
+    let area = 0, coveredMs = 0;
+    for (let i = segmentIndex; i < segments.length && segments[i].start < bucketEnd; i++) {
+      const segment = segments[i];
+      const from = Math.max(segment.start, bucketStart);
+      const to = Math.min(segment.end, bucketEnd);
+      if (to <= from) {
+        continue;
+      }
+      const valueAt = time => segment.startValue + (segment.endValue - segment.startValue) * (time - segment.start) / (segment.end - segment.start);
+      area += (to - from) * (valueAt(from) + valueAt(to)) / 2;
+      coveredMs += to - from;
+    }
+
+    const mean = count > 0 ? sum / count : null;
+    const all = {
+      count,
+      min,
+      max,
+      mean,
+      timeWeightedAverage: coveredMs > 0 ? area / coveredMs : null,
+      first,
+      last,
+      stddev: count > 0 ? Math.sqrt(Math.max(0, sumSquares / count - mean * mean)) : null,
+    };
+    const bucket = { start: new Date(bucketStart).toISOString(), end: new Date(bucketEnd).toISOString() };
+    for (const name of aggregates) {
+      bucket[name] = all[name];
+    }
+    if (aggregates.includes("timeWeightedAverage") && coveredMs > 0 && coveredMs < bucketEnd - bucketStart) {
+      bucket.coverage = coveredMs / (bucketEnd - bucketStart); // Part of the bucket with a known value
+    }
+    buckets.push(bucket);
+  }
+
+  return { buckets, samples: samples.length, skippedBadQuality, nonNumeric };
+}
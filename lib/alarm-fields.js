@@ -0,0 +1,82 @@
+/*
+ * Selectable attributes of ActiveAlarm and LoggedAlarm for get-active-alarms and get-logged-alarms.
+ *
+ * The requested attributes are checked against sdl.gql and the GraphQL selection set is built from them. Attributes
+ * with an object type (valueQuality, quality, invalidFlags) are selected with all their fields.
+*/
+
+import { getNamedType, isObjectType } from 'graphql';
+import { winccSchema } from "./sdl.js";
+
+export const ALARM_FIELD_PRESET_NAMES = ["minimal", "operator", "diagnostic", "full"];
+
+// Attributes of the presets; each preset contains the one before. Attributes that a type does not have are skipped,
+// e.g. connectionName for logged alarms or hasComments for active alarms. "full" selects all attributes.
+// Names are matched without case: sdl.gql spells the dead band deadBand in ActiveAlarm and deadband in LoggedAlarm.
+const MINIMAL_FIELDS = ["name", "instanceID", "state", "priority", "raiseTime", "eventText"];
+const OPERATOR_FIELDS = [
+  ...MINIMAL_FIELDS,
+  "acknowledgmentTime", "clearTime", "resetTime", "modificationTime", "infoText", "languages",
+  "alarmClassName", "area", "origin", "userName", "hostName",
+];
+const DIAGNOSTIC_FIELDS = [
+  ...OPERATOR_FIELDS,
+  "stateMachine", "stateText", "value", "valueLimit", "valueQuality", "quality", "alarmParameterValues", "changeReason",
+  "suppressionState", "sourceType", "producer", "connectionName", "deadBand", "duration", "invalidFlags",
+  "alarmGroupID", "alarmClassID", "hasComments",
+];
+const PRESET_FIELDS = { minimal: MINIMAL_FIELDS, operator: OPERATOR_FIELDS, diagnostic: DIAGNOSTIC_FIELDS };
+
+// Attributes that are always selected: the identity of the alarm, and for logged alarms the time the paging sorts by
+const REQUIRED_FIELDS = {
+  ActiveAlarm: ["name", "instanceID"],
+  LoggedAlarm: ["name", "instanceID", "modificationTime"],
+};
+
+export const ALARM_FIELDS_DESCRIPTION = `
+    The fields parameter selects the alarm attributes of the result (the attribute names of the GraphQL schema, e.g. userName,
+    hostName, value, valueLimit, valueQuality, suppressionState, alarmParameterValues, changeReason, stateText, duration), the
+    preset parameter a named set of attributes: "minimal" (name, instanceID, state, priority, raiseTime, eventText), "operator"
+    (adds the acknowledgment, clear, reset and modification times, infoText, alarm class, area, origin, userName and hostName),
+    "diagnostic" (adds value, limit, qualities, parameter values, change reason, suppression state, source type, duration, ...)
+    or "full" (all attributes). fields are added to the preset. Without both, the default attributes of the tool are returned.
+    `;
+
+// Scalar and enum fields directly, object fields with their own fields
+function selectionOf(type, indent) {
+  return Object.values(type.getFields()).map(field => {
+    const named = getNamedType(field.type);
+    return isObjectType(named) ? `${indent}${field.name} {\n${selectionOf(named, indent + "  ")}\n${indent}}` : `${indent}${field.name}`;
+  }).join("\n");
+}
+
+// Names of the selected attributes in the order of the request; throws if one of them is not an attribute of typeName
+export function resolveAlarmFields(typeName, { preset, fields = [] } = {}, defaultFields = []) {
+  const typeFields = winccSchema().getType(typeName).getFields();
+  const byLowerCase = new Map(Object.keys(typeFields).map(name => [name.toLowerCase(), name]));
+
+  const unknown = fields.filter(field => !byLowerCase.has(field.trim().toLowerCase()));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown field(s) of ${typeName}: ${unknown.join(", ")}. Valid fields: ${Object.keys(typeFields).join(", ")}.`);
+  }
+
+  const base = !preset && fields.length === 0 ? defaultFields
+    : preset === "full" ? Object.keys(typeFields)
+    : PRESET_FIELDS[preset] || [];
+  const selected = new Set(REQUIRED_FIELDS[typeName] || []);
+  for (const field of [...base, ...fields].map(field => byLowerCase.get(field.trim().toLowerCase()))) {
+    if (field) {
+      selected.add(field);
+    }
+  }
+  return [...selected];
+}
+
+// GraphQL selection set of the attributes, indented for the query it is inserted in
+export function alarmSelectionSet(typeName, fieldNames, indent = "      ") {
+  const typeFields = winccSchema().getType(typeName).getFields();
+  return fieldNames.map(name => {
+    const named = getNamedType(typeFields[name].type);
+    return isObjectType(named) ? `${indent}${name} {\n${selectionOf(named, indent + "  ")}\n${indent}}` : `${indent}${name}`;
+  }).join("\n");
+}
@@ -0,0 +1,337 @@
+/*
+ * Structured alarm filters, compiled to the ChromQueryLanguage (CQL) filterString of activeAlarms and loggedAlarms.
+ *
+ * A filter is a condition { field, operator, value }, or a group { and: [...] }, { or: [...] } or { not: filter }.
+ * Fields are the attributes of ActiveAlarm or LoggedAlarm in sdl.gql, the values of enum attributes (state,
+ * sourceType, suppressionState, ...) must be values of their enum. In the compiled string the attributes are
+ * written with a capital first letter, strings, timestamps and enum values are put in single quotes, and single
+ * quotes inside them are doubled.
+ *
+ * A filterString written by hand can be parsed into the same structure, so it is checked by the same rules. The
+ * parser covers comparisons, LIKE, IN, AND, OR, NOT and parentheses.
+*/
+
+import { getNamedType, getNullableType, isEnumType, isListType } from 'graphql';
+import { winccSchema } from "./sdl.js";
+
+export const OPERATORS = ["=", "<>", "<", "<=", ">", ">=", "LIKE", "NOT LIKE", "IN", "NOT IN"];
+
+export const ALARM_FILTER_DESCRIPTION = `
+    Instead of writing filterString by hand, the structured filter parameter can be used: a condition
+    { "field": "priority", "operator": ">=", "value": 10 }, or a group { "and": [...] }, { "or": [...] } or { "not": {...} } of filters.
+    Fields are the alarm attributes (e.g. name, priority, state, area, alarmClassName, raiseTime, eventText, sourceType,
+    suppressionState), operators are =, <>, <, <=, >, >=, LIKE, NOT LIKE (wildcards * and ?), IN and NOT IN (value is an array).
+    Values of enum attributes are their enum values, e.g. "RAISED" for state, timestamps are ISO 8601 strings.
+    The filter is checked and compiled to a filterString by the server; with both, the two are combined with AND.
+    validate-alarm-filter checks a filter or filterString without querying alarms.
+    `;
+
+const SCALAR_KINDS = { String: "string", Int: "number", Float: "number", Boolean: "boolean", Timestamp: "timestamp", Variant: "variant" };
+
+// Operators per kind of attribute; "text" are the multilingual texts, compared in the filterLanguage
+const KIND_OPERATORS = {
+  string: OPERATORS,
+  text: ["=", "<>", "LIKE", "NOT LIKE", "IN", "NOT IN"],
+  number: ["=", "<>", "<", "<=", ">", ">=", "IN", "NOT IN"],
+  variant: ["=", "<>", "<", "<=", ">", ">=", "IN", "NOT IN"],
+  timestamp: ["=", "<>", "<", "<=", ">", ">="],
+  boolean: ["=", "<>"],
+  enum: ["=", "<>", "IN", "NOT IN"],
+};
+
+const OPERATOR_ALIASES = { "!=": "<>", "==": "=" };
+
+const fieldCache = new Map();
+
+// lower case attribute name -> { name, column, kind, enumName, values }, only attributes that can be filtered
+export function alarmFilterFields(typeName) {
+  if (!fieldCache.has(typeName)) {
+    const fields = new Map();
+    for (const field of Object.values(winccSchema().getType(typeName).getFields())) {
+      const type = getNullableType(field.type);
+      const named = getNamedType(type);
+      let kind;
+      if (isListType(type)) {
+        kind = named.name === "String" ? "text" : null;
+      } else {
+        kind = isEnumType(named) ? "enum" : SCALAR_KINDS[named.name] || null;
+      }
+      if (kind) {
+        fields.set(field.name.toLowerCase(), {
+          name: field.name,
+          column: field.name[0].toUpperCase() + field.name.slice(1),
+          kind,
+          ...(kind === "enum" ? { enumName: named.name, values: named.getValues().map(value => value.name) } : {}),
+        });
+      }
+    }
+    fieldCache.set(typeName, fields);
+  }
+  return fieldCache.get(typeName);
+}
+
+const quote = text => `'${text.replace(/'/g, "''")}'`;
+
+// CQL literal of one value, or null after adding an error
+function literal(field, value, path, errors) {
+  const fail = (message) => {
+    errors.push({ path, message });
+    return null;
+  };
+  switch (field.kind) {
+    case "string":
+    case "text":
+      return typeof value === "string" ? quote(value) : fail(`${field.name} needs a string value, got ${JSON.stringify(value)}.`);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value) ? String(value) : fail(`${field.name} needs a number value, got ${JSON.stringify(value)}.`);
+    case "boolean":
+      return typeof value === "boolean" ? (value ? "TRUE" : "FALSE") : fail(`${field.name} needs true or false, got ${JSON.stringify(value)}.`);
+    case "timestamp":
+      return typeof value === "string" && !Number.isNaN(Date.parse(value))
+        ? quote(new Date(value).toISOString())
+        : fail(`${field.name} needs an ISO 8601 timestamp, e.g. "2025-01-31T08:00:00Z", got ${JSON.stringify(value)}.`);
+    case "variant":
+      if (typeof value === "number" && Number.isFinite(value)) {
+        return String(value);
+      }
+      if (typeof value === "boolean") {
+        return value ? "TRUE" : "FALSE";
+      }
+      return typeof value === "string" ? quote(value) : fail(`${field.name} needs a number, string or boolean value, got ${JSON.stringify(value)}.`);
+    case "enum": {
+      const match = typeof value === "string" ? field.values.find(name => name === value.toUpperCase()) : undefined;
+      return match ? quote(match) : fail(`${JSON.stringify(value)} is not a value of ${field.enumName} (${field.name}). Valid values: ${field.values.join(", ")}.`);
+    }
+  }
+  return fail(`${field.name} cannot be filtered.`);
+}
+
+function compileCondition(node, fields, typeName, path, errors) {
+  const field = typeof node.field === "string" ? fields.get(node.field.trim().toLowerCase()) : undefined;
+  if (!field) {
+    errors.push({ path: `${path}.field`, message: `Unknown field ${JSON.stringify(node.field)} of ${typeName}. Fields that can be filtered: ${[...fields.values()].map(item => item.name).join(", ")}.` });
+    return null;
+  }
+  const rawOperator = String(node.operator ?? "=").trim().toUpperCase().replace(/\s+/g, " ");
+  const operator = OPERATOR_ALIASES[rawOperator] || rawOperator;
+  if (!OPERATORS.includes(operator)) {
+    errors.push({ path: `${path}.operator`, message: `Unknown operator ${JSON.stringify(node.operator)}. Valid operators: ${OPERATORS.join(", ")}.` });
+    return null;
+  }
+  if (!KIND_OPERATORS[field.kind].includes(operator)) {
+    errors.push({ path: `${path}.operator`, message: `Operator ${operator} cannot be used with ${field.name}. Valid operators for it: ${KIND_OPERATORS[field.kind].join(", ")}.` });
+    return null;
+  }
+
+  // IN is written as a group of comparisons
+  if (operator === "IN" || operator === "NOT IN") {
+    if (!Array.isArray(node.value) || node.value.length === 0) {
+      errors.push({ path: `${path}.value`, message: `Operator ${operator} needs a non-empty array of values.` });
+      return null;
+    }
+    const values = node.value.map((value, index) => literal(field, value, `${path}.value[${index}]`, errors));
+    if (values.includes(null)) {
+      return null;
+    }
+    const comparisons = values.map(value => `${field.column} ${operator === "IN" ? "=" : "<>"} ${value}`);
+    return comparisons.length === 1 ? comparisons[0] : `(${comparisons.join(operator === "IN" ? " OR " : " AND ")})`;
+  }
+  if (Array.isArray(node.value)) {
+    errors.push({ path: `${path}.value`, message: `Operator ${operator} needs a single value, use IN for a list of values.` });
+    return null;
+  }
+  if ((operator === "LIKE" || operator === "NOT LIKE") && typeof node.value !== "string") {
+    errors.push({ path: `${path}.value`, message: `Operator ${operator} needs a string pattern with the wildcards * and ?.` });
+    return null;
+  }
+  const value = literal(field, node.value, `${path}.value`, errors);
+  return value === null ? null : `${field.column} ${operator} ${value}`;
+}
+
+function compileNode(node, fields, typeName, path, errors, top) {
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    errors.push({ path, message: `Expected a condition { field, operator, value } or a group { and: [...] } / { or: [...] } / { not: ... }, got ${JSON.stringify(node)}.` });
+    return null;
+  }
+  if ("not" in node) {
+    const inner = compileNode(node.not, fields, typeName, `${path}.not`, errors, true);
+    return inner === null ? null : `NOT (${inner})`;
+  }
+  const groupKey = "and" in node ? "and" : "or" in node ? "or" : null;
+  if (!groupKey) {
+    return compileCondition(node, fields, typeName, path, errors);
+  }
+  const children = node[groupKey];
+  if (!Array.isArray(children) || children.length === 0) {
+    errors.push({ path: `${path}.${groupKey}`, message: `"${groupKey}" needs a non-empty array of filters.` });
+    return null;
+  }
+  const parts = children.map((child, index) => compileNode(child, fields, typeName, `${path}.${groupKey}[${index}]`, errors, false));
+  if (parts.includes(null)) {
+    return null;
+  }
+  const joined = parts.join(` ${groupKey.toUpperCase()} `);
+  return parts.length === 1 || top ? joined : `(${joined})`;
+}
+
+// typeName: "ActiveAlarm" or "LoggedAlarm"; returns { filterString, errors }, filterString is null if there are errors
+export function compileAlarmFilter(filter, typeName) {
+  const errors = [];
+  const filterString = compileNode(filter, alarmFilterFields(typeName), typeName, "filter", errors, true);
+  return { filterString: errors.length > 0 ? null : filterString, errors };
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// Parser for filterString
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+const TOKEN_PATTERN = /\s*(?:('(?:[^']|'')*')|(-?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|<>|!=|==|=|<|>|\(|\)|,)|(\S))/y;
+
+function tokenizeCql(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      break; // Only whitespace left
+    }
+    const position = start + match[0].length - match[0].trimStart().length;
+    const [, string, number, word, symbol, other] = match;
+    if (string !== undefined) {
+      tokens.push({ type: "value", value: string.slice(1, -1).replace(/''/g, "'"), position });
+    } else if (number !== undefined) {
+      tokens.push({ type: "value", value: Number(number), position });
+    } else if (word !== undefined) {
+      const upper = word.toUpperCase();
+      if (upper === "TRUE" || upper === "FALSE") {
+        tokens.push({ type: "value", value: upper === "TRUE", position });
+      } else {
+        tokens.push({ type: ["AND", "OR", "NOT", "LIKE", "IN"].includes(upper) ? upper : "identifier", value: word, position });
+      }
+    } else if (symbol !== undefined) {
+      tokens.push({ type: symbol, value: symbol, position });
+    } else {
+      throw new Error(other === "'" ? `Unterminated string starting at position ${position}.` : `Unexpected character '${other}' at position ${position}.`);
+    }
+  }
+  return tokens;
+}
+
+// Parses a filterString into a structured filter; throws an Error with the position of a syntax error
+export function parseFilterString(text) {
+  const tokens = tokenizeCql(text);
+  let index = 0;
+  const peek = () => tokens[index];
+  const describe = token => token ? `'${token.value}' at position ${token.position}` : "the end of the filter";
+  const expect = (type, what) => {
+    const token = peek();
+    if (!token || token.type !== type) {
+      throw new Error(`Expected ${what}, found ${describe(token)}.`);
+    }
+    index++;
+    return token;
+  };
+
+  const group = (key, parse, separator) => {
+    const items = [parse()];
+    while (peek()?.type === separator) {
+      index++;
+      items.push(parse());
+    }
+    return items.length === 1 ? items[0] : { [key]: items.flatMap(item => item[key] && Object.keys(item).length === 1 ? item[key] : [item]) };
+  };
+  const expression = () => group("or", conjunction, "OR");
+  const conjunction = () => group("and", unary, "AND");
+  const unary = () => {
+    if (peek()?.type === "NOT") {
+      index++;
+      return { not: unary() };
+    }
+    if (peek()?.type === "(") {
+      index++;
+      const inner = expression();
+      expect(")", "')'");
+      return inner;
+    }
+    return comparison();
+  };
+  const value = () => expect("value", "a value (a string in single quotes, a number, TRUE or FALSE)").value;
+  const comparison = () => {
+    const field = expect("identifier", "an attribute name").value;
+    let negated = false;
+    if (peek()?.type === "NOT") {
+      negated = true;
+      index++;
+    }
+    const token = peek();
+    if (token?.type === "LIKE") {
+      index++;
+      return { field, operator: negated ? "NOT LIKE" : "LIKE", value: value() };
+    }
+    if (token?.type === "IN") {
+      index++;
+      expect("(", "'(' after IN");
+      const values = [value()];
+      while (peek()?.type === ",") {
+        index++;
+        values.push(value());
+      }
+      expect(")", "')' after the values of IN");
+      return { field, operator: negated ? "NOT IN" : "IN", value: values };
+    }
+    if (negated) {
+      throw new Error(`Expected LIKE or IN after NOT, found ${describe(token)}.`);
+    }
+    if (!token || !["=", "==", "<>", "!=", "<", "<=", ">", ">="].includes(token.type)) {
+      throw new Error(`Expected an operator after '${field}', found ${describe(token)}.`);
+    }
+    index++;
+    return { field, operator: token.type, value: value() };
+  };
+
+  const filter = expression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())}, expected AND, OR or the end of the filter.`);
+  }
+  return filter;
+}
+
+// Checks a structured filter and / or a filterString; returns { valid, filterString, errors } with the compiled string
+export function validateAlarmFilter({ filter, filterString = "" }, typeName) {
+  const errors = [];
+  const parts = [];
+  if (filterString.trim()) {
+    try {
+      const result = compileAlarmFilter(parseFilterString(filterString), typeName);
+      errors.push(...result.errors.map(error => ({ ...error, path: error.path.replace(/^filter/, "filterString") })));
+      parts.push(result.filterString);
+    } catch (error) {
+      errors.push({ path: "filterString", message: error.message });
+    }
+  }
+  if (filter) {
+    const result = compileAlarmFilter(filter, typeName);
+    errors.push(...result.errors);
+    parts.push(result.filterString);
+  }
+  return { valid: errors.length === 0, filterString: errors.length > 0 ? null : combineFilterStrings(...parts), errors };
+}
+
+export function combineFilterStrings(...filterStrings) {
+  const parts = filterStrings.filter(Boolean);
+  return parts.length <= 1 ? parts[0] || "" : parts.map(part => `(${part})`).join(" AND ");
+}
+
+// filterString for a tool call: the filterString as given, combined with the compiled structured filter.
+// Throws if the structured filter is invalid.
+export function alarmFilterString({ filter, filterString = "" }, typeName) {
+  if (!filter) {
+    return filterString;
+  }
+  const result = compileAlarmFilter(filter, typeName);
+  if (result.errors.length > 0) {
+    throw new Error(`Invalid filter: ${result.errors.map(error => `${error.path}: ${error.message}`).join(" ")}`);
+  }
+  return combineFilterStrings(filterString, result.filterString);
+}
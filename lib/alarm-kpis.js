@@ -0,0 +1,234 @@
+/*
+ * Alarm management KPIs in the sense of ISA-18.2, computed from the logged alarms.
+ *
+ * The alarm log contains one entry per state change of an alarm instance. Entries with the same name, instanceID and
+ * raiseTime are merged into one occurrence (one activation) with the times of its acknowledgment, clear and reset.
+ * All rates count activations, i.e. occurrences raised inside the analyzed time range.
+*/
+
+// Alarm rates are counted per 10 minutes, more than 10 alarms per operator in 10 minutes is an alarm flood
+export const ALARM_RATE_PERIOD_MS = 600000;
+export const FLOOD_THRESHOLD = 10;
+
+// Priority ranges of WinCC Unified
+export function priorityRange(priority) {
+  if (!priority) {
+    return "none";
+  }
+  return priority <= 5 ? "low" : priority <= 10 ? "medium" : priority <= 15 ? "high" : "highest";
+}
+
+// Timestamps of states that were not reached are empty or the epoch
+function timeOf(timestamp) {
+  const time = timestamp ? Date.parse(timestamp) : NaN;
+  return Number.isNaN(time) || time <= 0 ? null : time;
+}
+
+const earliest = (a, b) => a === null ? b : b === null ? a : Math.min(a, b);
+
+// Merges log entries into occurrences; add() can be called with one chunk of the log after the other
+export class AlarmOccurrences {
+  constructor() {
+    this.occurrences = new Map(); // name|instanceID|raiseTime -> occurrence
+    this.entries = 0;
+  }
+
+  add(alarms) {
+    for (const alarm of alarms) {
+      this.entries++;
+      const key = `${alarm.name}|${alarm.instanceID ?? ""}|${alarm.raiseTime ?? ""}`;
+      let occurrence = this.occurrences.get(key);
+      if (!occurrence) {
+        occurrence = {
+          name: alarm.name,
+          instanceID: alarm.instanceID,
+          raise: timeOf(alarm.raiseTime),
+          acknowledgment: null,
+          clear: null,
+          reset: null,
+          removed: null,
+          modification: -Infinity,
+        };
+        this.occurrences.set(key, occurrence);
+      }
+      occurrence.acknowledgment = earliest(occurrence.acknowledgment, timeOf(alarm.acknowledgmentTime));
+      occurrence.clear = earliest(occurrence.clear, timeOf(alarm.clearTime));
+      occurrence.reset = earliest(occurrence.reset, timeOf(alarm.resetTime));
+      const modification = timeOf(alarm.modificationTime) ?? -Infinity;
+      if (alarm.state === "REMOVED") {
+        occurrence.removed = earliest(occurrence.removed, modification === -Infinity ? null : modification);
+      }
+      // Attributes of the latest entry
+      if (modification >= occurrence.modification) {
+        occurrence.modification = modification;
+        occurrence.state = alarm.state;
+        occurrence.stateMachine = alarm.stateMachine;
+        occurrence.priority = alarm.priority;
+        occurrence.area = alarm.area;
+        occurrence.alarmClassName = alarm.alarmClassName;
+        occurrence.origin = alarm.origin;
+        occurrence.eventText = alarm.eventText?.[0] ?? "";
+      }
+    }
+  }
+
+  list() {
+    return [...this.occurrences.values()];
+  }
+}
+
+const round = (value, digits = 2) => value === null ? null : Math.round(value * 10 ** digits) / 10 ** digits;
+const seconds = ms => round(ms / 1000, 1);
+
+// Statistics of durations in ms, returned in seconds; percentiles by the nearest-rank method
+function durationStatistics(durations) {
+  if (durations.length === 0) {
+    return { count: 0 };
+  }
+  const sorted = [...durations].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+  return {
+    count: sorted.length,
+    meanSeconds: seconds(sorted.reduce((sum, duration) => sum + duration, 0) / sorted.length),
+    medianSeconds: seconds(percentile(50)),
+    p90Seconds: seconds(percentile(90)),
+    p95Seconds: seconds(percentile(95)),
+    maxSeconds: seconds(sorted[sorted.length - 1]),
+  };
+}
+
+// [{ value, count, percent }] sorted by count, values after the first limit ones are summed up as "(others)"
+function distribution(activations, keyOf, limit) {
+  const counts = new Map();
+  for (const occurrence of activations) {
+    const key = keyOf(occurrence) ?? "(none)";
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const entries = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  const result = entries.slice(0, limit).map(([value, count]) => ({ value, count, percent: round(100 * count / activations.length, 1) }));
+  const others = entries.slice(limit).reduce((sum, [, count]) => sum + count, 0);
+  if (others > 0) {
+    result.push({ value: "(others)", count: others, percent: round(100 * others / activations.length, 1) });
+  }
+  return result;
+}
+
+// Maximum number of times within any window of windowMs, times sorted ascending
+function maxInWindow(times, windowMs) {
+  let max = 0;
+  for (let start = 0, end = 0; end < times.length; end++) {
+    while (times[end] - times[start] >= windowMs) {
+      start++;
+    }
+    max = Math.max(max, end - start + 1);
+  }
+  return max;
+}
+
+// options: { startTime, endTime (ms), operators, topN, chatteringCount, chatteringWindowMs, fleetingMs, standingMs }
+export function analyzeAlarmPerformance(occurrences, { startTime, endTime, operators = 1, topN = 10, chatteringCount = 3, chatteringWindowMs = 60000, fleetingMs = 1000, standingMs = 86400000 }) {
+  const activations = occurrences
+    .filter(occurrence => occurrence.raise !== null && occurrence.raise >= startTime && occurrence.raise < endTime)
+    .sort((a, b) => a.raise - b.raise);
+  const total = activations.length;
+
+  // Alarm rate per operator in 10 minute periods
+  const periods = Math.max(1, Math.ceil((endTime - startTime) / ALARM_RATE_PERIOD_MS));
+  const periodCounts = new Array(periods).fill(0);
+  for (const occurrence of activations) {
+    periodCounts[Math.floor((occurrence.raise - startTime) / ALARM_RATE_PERIOD_MS)]++;
+  }
+  const peakIndex = periodCounts.reduce((best, count, index) => count > periodCounts[best] ? index : best, 0);
+  const floodPeriods = periodCounts.filter(count => count / operators > FLOOD_THRESHOLD).length;
+  const averagePer10Minutes = total / ((endTime - startTime) / ALARM_RATE_PERIOD_MS) / operators;
+  const alarmRate = {
+    activations: total,
+    operators,
+    averagePer10Minutes: round(averagePer10Minutes),
+    averagePerHour: round(averagePer10Minutes * 6),
+    averagePerDay: round(averagePer10Minutes * 144),
+    peakPer10Minutes: { count: round(periodCounts[peakIndex] / operators), start: new Date(startTime + peakIndex * ALARM_RATE_PERIOD_MS).toISOString() },
+    floodPeriods,
+    percentOfTimeInFlood: round(100 * floodPeriods / periods, 1),
+    // ISA-18.2: about 1 alarm per 10 minutes is very likely acceptable, 2 is the maximum manageable
+    rating: averagePer10Minutes <= 1 ? "acceptable" : averagePer10Minutes <= 2 ? "maximum manageable" : "overloaded",
+  };
+
+  // Activations per configured alarm
+  const byName = new Map();
+  for (const occurrence of activations) {
+    if (!byName.has(occurrence.name)) {
+      byName.set(occurrence.name, { name: occurrence.name, eventText: occurrence.eventText, priority: occurrence.priority, times: [], fleeting: 0, shortestMs: null });
+    }
+    const alarm = byName.get(occurrence.name);
+    alarm.times.push(occurrence.raise);
+    if (occurrence.clear !== null && occurrence.clear >= occurrence.raise) {
+      const activeMs = occurrence.clear - occurrence.raise;
+      alarm.shortestMs = alarm.shortestMs === null ? activeMs : Math.min(alarm.shortestMs, activeMs);
+      if (activeMs < fleetingMs) {
+        alarm.fleeting++;
+      }
+    }
+  }
+  const alarms = [...byName.values()].sort((a, b) => b.times.length - a.times.length);
+  const top = alarms.slice(0, topN);
+  const topCount = top.reduce((sum, alarm) => sum + alarm.times.length, 0);
+  const mostFrequent = {
+    alarms: top.map(alarm => ({ name: alarm.name, eventText: alarm.eventText, priority: alarm.priority, activations: alarm.times.length, percent: round(100 * alarm.times.length / total, 1) })),
+    percentOfAllActivations: total > 0 ? round(100 * topCount / total, 1) : 0,
+  };
+
+  const chattering = alarms
+    .map(alarm => ({ name: alarm.name, eventText: alarm.eventText, activations: alarm.times.length, maxActivationsInWindow: maxInWindow(alarm.times, chatteringWindowMs) }))
+    .filter(alarm => alarm.maxActivationsInWindow >= chatteringCount)
+    .sort((a, b) => b.maxActivationsInWindow - a.maxActivationsInWindow || b.activations - a.activations);
+
+  const fleeting = alarms
+    .filter(alarm => alarm.fleeting > 0)
+    .map(alarm => ({ name: alarm.name, eventText: alarm.eventText, fleetingActivations: alarm.fleeting, activations: alarm.times.length, shortestActiveSeconds: seconds(alarm.shortestMs) }))
+    .sort((a, b) => b.fleetingActivations - a.fleetingActivations);
+
+  // Standing alarms: still active at the end of the range and active for at least standingMs; stateless messages never clear
+  const standing = occurrences
+    .filter(occurrence => occurrence.raise !== null && occurrence.raise < endTime && occurrence.stateMachine !== "RAISE")
+    .filter(occurrence => (occurrence.clear === null || occurrence.clear > endTime) && (occurrence.removed === null || occurrence.removed > endTime))
+    .filter(occurrence => endTime - occurrence.raise >= standingMs)
+    .sort((a, b) => a.raise - b.raise)
+    .map(occurrence => ({
+      name: occurrence.name,
+      instanceID: occurrence.instanceID,
+      eventText: occurrence.eventText,
+      priority: occurrence.priority,
+      raiseTime: new Date(occurrence.raise).toISOString(),
+      activeHours: round((endTime - occurrence.raise) / 3600000, 1),
+      acknowledged: occurrence.acknowledgment !== null && occurrence.acknowledgment <= endTime,
+    }));
+
+  // Response times; notifications without acknowledgment are not counted as unacknowledged
+  const acknowledgeable = activations.filter(occurrence => occurrence.stateMachine !== "RAISE_CLEAR");
+  const acknowledged = acknowledgeable.filter(occurrence => occurrence.acknowledgment !== null && occurrence.acknowledgment >= occurrence.raise);
+  const cleared = activations.filter(occurrence => occurrence.clear !== null && occurrence.clear >= occurrence.raise);
+
+  return {
+    alarmRate,
+    mostFrequent,
+    chattering: { count: chattering.length, alarms: chattering.slice(0, topN) },
+    fleeting: { count: fleeting.length, alarms: fleeting.slice(0, topN) },
+    standing: { count: standing.length, alarms: standing.slice(0, topN) },
+    timeToAcknowledge: {
+      ...durationStatistics(acknowledged.map(occurrence => occurrence.acknowledgment - occurrence.raise)),
+      unacknowledged: acknowledgeable.length - acknowledged.length,
+    },
+    timeToClear: {
+      ...durationStatistics(cleared.map(occurrence => occurrence.clear - occurrence.raise)),
+      notCleared: activations.filter(occurrence => occurrence.stateMachine !== "RAISE").length - cleared.length,
+    },
+    distribution: {
+      // ISA-18.2 suggests roughly 80 % low, 15 % medium and 5 % high priority
+      byPriorityRange: distribution(activations, occurrence => priorityRange(occurrence.priority), 5),
+      byPriority: distribution(activations, occurrence => occurrence.priority, 17),
+      byArea: distribution(activations, occurrence => occurrence.area || null, topN),
+      byAlarmClass: distribution(activations, occurrence => occurrence.alarmClassName || null, topN),
+    },
+  };
+}
@@ -0,0 +1,188 @@
+/*
+ * In-memory mirror of the active alarm list, fed by the GraphQL activeAlarms subscription.
+ *
+ * The mirror runs in the background with the service account and emits a 'change' event for every
+ * added, modified or removed alarm.
+*/
+
+import { EventEmitter } from 'events';
+import { SubscriptionClient } from "./subscriptions.js";
+import { matchesWildcard } from "./patterns.js";
+
+const activeAlarmsSubscription = `
+  subscription ActiveAlarms(
+    $systemNames: [String],
+    $filterString: String,
+    $filterLanguage: String,
+    $languages: [String]
+  ) {
+    activeAlarms(
+      systemNames: $systemNames,
+      filterString: $filterString,
+      filterLanguage: $filterLanguage,
+      languages: $languages
+    ) {
+      name
+      instanceID
+      raiseTime
+      acknowledgmentTime
+      clearTime
+      resetTime
+      modificationTime
+      state
+      priority
+      eventText
+      infoText
+      alarmClassName
+      area
+      origin
+      path
+      userResponse
+      languages
+      notificationReason
+    }
+  }
+`;
+
+export function alarmKey(alarm) {
+  return `${alarm.name}#${alarm.instanceID ?? 0}`;
+}
+
+// True while the alarm condition is still present, i.e. the alarm was raised and has not been cleared yet
+export function isConditionActive(alarm) {
+  return !!alarm.state && alarm.state.startsWith("RAISED") && !alarm.state.includes("CLEARED");
+}
+
+// filter: { namePattern, minPriority, maxPriority, states, area, alarmClassName, textContains }
+export function matchesAlarmFilter(alarm, filter = {}) {
+  if (filter.namePattern && !matchesWildcard(alarm.name, filter.namePattern)) {
+    return false;
+  }
+  if (filter.minPriority !== undefined && (alarm.priority ?? 0) < filter.minPriority) {
+    return false;
+  }
+  if (filter.maxPriority !== undefined && (alarm.priority ?? 0) > filter.maxPriority) {
+    return false;
+  }
+  if (filter.states && filter.states.length > 0 && !filter.states.includes(alarm.state)) {
+    return false;
+  }
+  if (filter.area && !matchesWildcard(alarm.area, filter.area)) {
+    return false;
+  }
+  if (filter.alarmClassName && !matchesWildcard(alarm.alarmClassName, filter.alarmClassName)) {
+    return false;
+  }
+  if (filter.textContains) {
+    const needle = filter.textContains.toLowerCase();
+    const texts = [...(alarm.eventText || []), ...(alarm.infoText || [])];
+    if (!texts.some(text => (text || "").toLowerCase().includes(needle))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+export class AlarmMirror extends EventEmitter {
+  // resyncDelayMs: after a reconnect, alarms that were not sent again within this time are treated as removed
+  constructor({ url, getToken, rejectUnauthorized = false, systemNames = [], filterString = "", filterLanguage = "en-US", languages = ["en-US"], resyncDelayMs = 5000 }) {
+    super();
+    this.setMaxListeners(0); // Every waiting wait-for-alarm-change call adds a listener
+    this.variables = { systemNames, filterString, filterLanguage, languages };
+    this.resyncDelayMs = resyncDelayMs;
+    this.alarms = new Map();
+    this.generation = 0;
+    this.lastNotification = null;
+    this.unsubscribe = null;
+    this.resyncTimer = null;
+    this.subscriptionClient = new SubscriptionClient({
+      url,
+      getToken,
+      rejectUnauthorized,
+      label: "Alarm Mirror",
+      onConnected: () => this.#resync(),
+    });
+  }
+
+  get connected() {
+    return this.subscriptionClient.connected;
+  }
+
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+    console.log(`[Alarm Mirror] Subscribing to active alarms:`, this.variables);
+    this.unsubscribe = this.subscriptionClient.subscribe(activeAlarmsSubscription, this.variables, {
+      next: (data) => this.#notification(data.activeAlarms),
+      error: (error) => console.error("[Alarm Mirror] Subscription error:", error.message),
+    });
+  }
+
+  // Reconnects, e.g. to the new host after a redundancy switchover; the alarms are resynchronized after the reconnect
+  restart() {
+    this.subscriptionClient.restart();
+  }
+
+  async stop() {
+    clearTimeout(this.resyncTimer);
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    await this.subscriptionClient.dispose();
+  }
+
+  list(filter) {
+    const alarms = [...this.alarms.values()].map(entry => entry.alarm);
+    return filter ? alarms.filter(alarm => matchesAlarmFilter(alarm, filter)) : alarms;
+  }
+
+  status() {
+    return {
+      connected: this.connected,
+      activeAlarms: this.alarms.size,
+      lastNotification: this.lastNotification,
+      ...this.variables,
+    };
+  }
+
+  #notification(notification) {
+    if (!notification) {
+      return;
+    }
+    const { notificationReason, ...alarm } = notification;
+    const reason = notificationReason || "Unknown";
+    const key = alarmKey(alarm);
+    const previous = this.alarms.get(key)?.alarm || null;
+    this.lastNotification = new Date().toISOString();
+
+    if (reason.startsWith("Removed")) {
+      this.alarms.delete(key);
+      this.emit('change', { reason: "Removed", alarm: { ...previous, ...alarm }, previous });
+    } else {
+      this.alarms.set(key, { alarm, generation: this.generation });
+      // A re-sent alarm after a reconnect is only a change if something differs
+      if (reason === "Added" && previous && previous.modificationTime === alarm.modificationTime && previous.state === alarm.state) {
+        return;
+      }
+      this.emit('change', { reason: previous && reason === "Added" ? "Modified" : reason, alarm, previous });
+    }
+  }
+
+  // After a (re)connect the server sends all matching alarms again as Added; the ones that do not come back are gone
+  #resync() {
+    const generation = ++this.generation;
+    clearTimeout(this.resyncTimer);
+    if (this.alarms.size === 0) {
+      return;
+    }
+    this.resyncTimer = setTimeout(() => {
+      for (const [key, entry] of this.alarms) {
+        if (entry.generation < generation) {
+          this.alarms.delete(key);
+          this.emit('change', { reason: "Removed", alarm: entry.alarm, previous: entry.alarm });
+        }
+      }
+    }, this.resyncDelayMs);
+    this.resyncTimer.unref();
+  }
+}
@@ -0,0 +1,78 @@
+/*
+ * Sequence of events and alarm flood detection from the logged alarms.
+ *
+ * The timeline is built from the merged occurrences of lib/alarm-kpis.js: every occurrence contributes the events
+ * raised, acknowledged, cleared, reset and removed at the times it reached these states. A flood is a period in
+ * which a sliding window of floodWindowMs contains more than floodThreshold raised alarms; the first alarm raised
+ * in the flood is its first-out alarm.
+*/
+
+// Order of events at the same time
+const EVENT_ORDER = { raised: 0, acknowledged: 1, cleared: 2, reset: 3, removed: 4 };
+
+// occurrences: list of AlarmOccurrences; returns the events between startTime and endTime (ms), sorted by time
+export function buildTimeline(occurrences, { startTime, endTime }) {
+  const events = [];
+  for (const occurrence of occurrences) {
+    const times = {
+      raised: occurrence.raise,
+      acknowledged: occurrence.acknowledgment,
+      cleared: occurrence.clear,
+      reset: occurrence.reset,
+      removed: occurrence.removed,
+    };
+    for (const [event, time] of Object.entries(times)) {
+      if (time === null || time < startTime || time > endTime) {
+        continue;
+      }
+      events.push({
+        time,
+        event,
+        name: occurrence.name,
+        instanceID: occurrence.instanceID,
+        eventText: occurrence.eventText,
+        priority: occurrence.priority,
+        area: occurrence.area,
+        alarmClassName: occurrence.alarmClassName,
+        occurrence,
+      });
+    }
+  }
+  return events.sort((a, b) => a.time - b.time || EVENT_ORDER[a.event] - EVENT_ORDER[b.event] || String(a.name).localeCompare(String(b.name)));
+}
+
+// raised: the "raised" events sorted by time; returns [{ events, peak }], every flood with its raised events
+export function detectFloods(raised, { floodThreshold = 10, floodWindowMs = 600000 }) {
+  const inFlood = new Array(raised.length).fill(false);
+  const peaks = new Array(raised.length).fill(0);
+  for (let start = 0, end = 0; start < raised.length; start++) {
+    end = Math.max(end, start);
+    while (end + 1 < raised.length && raised[end + 1].time - raised[start].time < floodWindowMs) {
+      end++;
+    }
+    const count = end - start + 1;
+    if (count > floodThreshold) {
+      for (let i = start; i <= end; i++) {
+        inFlood[i] = true;
+        peaks[i] = Math.max(peaks[i], count);
+      }
+    }
+  }
+
+  // Consecutive alarms in a flood window form one flood
+  const floods = [];
+  let current = null;
+  for (let i = 0; i < raised.length; i++) {
+    if (!inFlood[i]) {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { events: [], peak: 0 };
+      floods.push(current);
+    }
+    current.events.push(raised[i]);
+    current.peak = Math.max(current.peak, peaks[i]);
+  }
+  return floods;
+}
@@ -0,0 +1,227 @@
+/*
+ * Append-only audit trail of all mutations done through the MCP server, as rotated JSONL files.
+ *
+ * Every entry contains the SHA-256 hash of the previous entry and its own hash, so that a changed, removed or
+ * inserted line breaks the chain. The chain continues across rotated files: audit.jsonl is the current file,
+ * audit-<timestamp>-<last seq>.jsonl are the rotated ones.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { matchesWildcard } from "./patterns.js";
+
+const CURRENT_FILE = "audit.jsonl";
+const GENESIS_HASH = "0".repeat(64);
+
+function hashEntry(entry) {
+  const { hash, ...content } = entry;
+  return createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// Per-item GraphQL results (writeTagValues, acknowledgeAlarms, ...) in a compact form
+export function auditItemResults(results) {
+  return (results || []).filter(Boolean).map(item => ({
+    name: item.name ?? item.alarmName ?? null,
+    ...(item.alarmInstanceID !== undefined && item.alarmInstanceID !== null ? { instanceID: item.alarmInstanceID } : {}),
+    code: item.error?.code !== undefined && item.error?.code !== null ? String(item.error.code) : "0",
+    ...(item.error?.description ? { description: item.error.description } : {}),
+  }));
+}
+
+export class AuditLog {
+  constructor({ dir = "audit", maxFileBytes = 10 * 1024 * 1024 } = {}) {
+    this.dir = dir;
+    this.maxFileBytes = maxFileBytes;
+    this.lastHash = null; // Read from the files with the first write
+    this.seq = 0;
+    this.queue = Promise.resolve(); // Writes are serialized to keep the chain in order
+  }
+
+  get currentFile() {
+    return path.join(this.dir, CURRENT_FILE);
+  }
+
+  // Records one mutation. Never throws, a failed write is logged, because the mutation has already been done.
+  // details: { outcome, results, error, identity, ...additional fields like confirmed or verification }
+  // identity: session.describe() taken before the mutation, for mutations that change the user of the session (logout)
+  record(session, tool, args, { outcome, results, error, identity = session.describe(), ...details } = {}) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      mcpSessionId: session.id,
+      user: identity.username || null,
+      identitySource: identity.source,
+      ...(identity.connection ? { connection: identity.connection } : {}),
+      tool,
+      arguments: args,
+      outcome: outcome || (error ? "failed" : results?.some(item => item.code !== "0") ? "partial" : "success"),
+      ...(results ? { results } : {}),
+      ...(error ? { error: error.message || String(error) } : {}),
+      ...details,
+    };
+
+    const write = this.queue.then(() => this.#append(entry)).catch(writeError => {
+      console.error(`[Audit] Writing the audit entry for '${tool}' failed:`, writeError.message, entry);
+    });
+    this.queue = write;
+    return write;
+  }
+
+  // Sends a mutation with the client of the session and records it with its per-item results, also if it fails
+  async mutate(session, tool, graphqlMutation, variables, details = {}) {
+    try {
+      const data = await session.client.mutate(graphqlMutation, variables);
+      await this.record(session, tool, variables, { results: auditItemResults(Object.values(data || {})[0]), ...details });
+      return data;
+    } catch (error) {
+      await this.record(session, tool, variables, { error, ...details });
+      throw error;
+    }
+  }
+
+  // filter: { startTime, endTime, user, tool, name, mcpSessionId, outcome }; returns the matching entries and the chain state
+  async query(filter = {}, maxNumberOfResults = 100) {
+    await this.queue;
+    const startTime = filter.startTime ? Date.parse(filter.startTime) : null;
+    const endTime = filter.endTime ? Date.parse(filter.endTime) : null;
+
+    const matches = [];
+    let previousHash = GENESIS_HASH;
+    let checked = 0;
+    const broken = [];
+
+    for (const file of await this.#files()) {
+      for (const line of (await fs.promises.readFile(file, 'utf8')).split("\n")) {
+        if (!line.trim()) {
+          continue;
+        }
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          broken.push({ file: path.basename(file), reason: "Line is not valid JSON" });
+          continue;
+        }
+        checked++;
+        if (entry.prevHash !== previousHash || entry.hash !== hashEntry(entry)) {
+          broken.push({ file: path.basename(file), seq: entry.seq, reason: entry.hash !== hashEntry(entry) ? "Entry was modified" : "Chain is interrupted" });
+        }
+        previousHash = entry.hash;
+
+        const time = Date.parse(entry.timestamp);
+        if ((startTime !== null && time < startTime) || (endTime !== null && time > endTime)) {
+          continue;
+        }
+        if (filter.user && !matchesWildcard(entry.user, filter.user)) {
+          continue;
+        }
+        if (filter.tool && !matchesWildcard(entry.tool, filter.tool)) {
+          continue;
+        }
+        if (filter.mcpSessionId && entry.mcpSessionId !== filter.mcpSessionId) {
+          continue;
+        }
+        if (filter.outcome && entry.outcome !== filter.outcome) {
+          continue;
+        }
+        if (filter.name && !namesOf(entry).some(name => matchesWildcard(name, filter.name))) {
+          continue;
+        }
+        matches.push(entry);
+      }
+    }
+
+    return {
+      totalMatches: matches.length,
+      entries: maxNumberOfResults > 0 ? matches.slice(-maxNumberOfResults) : matches,
+      chain: { valid: broken.length === 0, checkedEntries: checked, ...(broken.length > 0 ? { problems: broken.slice(0, 20) } : {}) },
+    };
+  }
+
+  async #append(entry) {
+    if (this.lastHash === null) {
+      await this.#restoreChain();
+    }
+    await this.#rotateIfNeeded();
+
+    const chained = { seq: ++this.seq, ...entry, prevHash: this.lastHash };
+    chained.hash = hashEntry(chained);
+    await fs.promises.appendFile(this.currentFile, JSON.stringify(chained) + "\n", { encoding: 'utf8', mode: 0o640 });
+    this.lastHash = chained.hash;
+  }
+
+  // Continues the chain after a restart with the last valid entry of the newest file. Lines torn by a crash during an
+  // append are skipped; they stay in the file and are reported by query(), the chain continues behind them.
+  async #restoreChain() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const files = await this.#files();
+    for (let i = files.length - 1; i >= 0; i--) {
+      const content = await fs.promises.readFile(files[i], 'utf8');
+      if (files[i] === this.currentFile && content.length > 0 && !content.endsWith("\n")) {
+        // Ends the torn line, so that the next entry starts on a line of its own
+        await fs.promises.appendFile(this.currentFile, "\n", 'utf8');
+      }
+      const lines = content.split("\n").filter(line => line.trim());
+      for (let j = lines.length - 1; j >= 0; j--) {
+        let last;
+        try {
+          last = JSON.parse(lines[j]);
+        } catch (error) {
+          continue;
+        }
+        if (typeof last?.hash !== "string") {
+          continue;
+        }
+        if (j < lines.length - 1) {
+          console.warn(`[Audit] Skipped ${lines.length - 1 - j} unreadable lines at the end of ${files[i]}, the last write was probably interrupted.`);
+        }
+        this.lastHash = last.hash;
+        this.seq = last.seq || 0;
+        console.log(`[Audit] Continuing audit trail in ${this.dir} after entry ${this.seq}`);
+        return;
+      }
+      if (lines.length > 0) {
+        console.warn(`[Audit] No readable entry in ${files[i]}, continuing with the previous file.`);
+      }
+    }
+    this.lastHash = GENESIS_HASH;
+    console.log(`[Audit] Starting new audit trail in ${this.dir}`);
+  }
+
+  async #rotateIfNeeded() {
+    let size = 0;
+    try {
+      size = (await fs.promises.stat(this.currentFile)).size;
+    } catch (error) {
+      return;
+    }
+    if (size >= this.maxFileBytes) {
+      // The sequence number of the last entry keeps the name unique and the files in order
+      const rotated = path.join(this.dir, `audit-${new Date().toISOString().replace(/[-:.]/g, "")}-${String(this.seq).padStart(10, "0")}.jsonl`);
+      await fs.promises.rename(this.currentFile, rotated);
+      console.log(`[Audit] Rotated audit file to ${rotated}`);
+    }
+  }
+
+  // Rotated files in chronological order, then the current file
+  async #files() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      return [];
+    }
+    const rotated = names.filter(name => /^audit-.+\.jsonl$/.test(name)).sort();
+    return [...rotated, ...(names.includes(CURRENT_FILE) ? [CURRENT_FILE] : [])].map(name => path.join(this.dir, name));
+  }
+}
+
+// Tag and alarm names an entry refers to, from its arguments and results
+function namesOf(entry) {
+  const args = entry.arguments || {};
+  return [
+    ...(args.input || []).map(item => item?.name),
+    ...(args.names || []),
+    ...(entry.results || []).map(item => item.name),
+  ].filter(Boolean);
+}
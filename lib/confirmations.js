@@ -0,0 +1,89 @@
+/*
+ * Confirmation tokens for the two-phase mode of plant-changing tools.
+ *
+ * The first call returns a preview and a token, only a second call with the token and the same arguments runs
+ * the mutation. Tokens expire, can be used only once and only by the MCP session that requested them.
+*/
+
+import { randomUUID, createHash } from 'crypto';
+
+// JSON with sorted object keys, so that equal arguments always give the same hash
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function hashArguments(args) {
+  return createHash('sha256').update(canonicalJson(args)).digest('hex');
+}
+
+export class ConfirmationStore {
+  // required: every call without token returns a preview; otherwise a preview is only made on request
+  constructor({ ttlMs = 120000, required = false } = {}) {
+    this.ttlMs = ttlMs;
+    this.required = required;
+    this.tokens = new Map(); // token -> { sessionId, connection, tool, hash, expiresAt }
+  }
+
+  // True if the call must return a preview instead of running the mutation
+  wantsPreview({ preview, confirmationToken }) {
+    return !confirmationToken && (preview || this.required);
+  }
+
+  issue(session, tool, args) {
+    this.#sweep();
+    const token = randomUUID();
+    const expiresAt = Date.now() + this.ttlMs;
+    this.tokens.set(token, { sessionId: session.id, connection: session.connection.name, tool, hash: hashArguments(args), expiresAt });
+    console.log(`[Confirmations] Issued token for '${tool}' to MCP session ${session.id}, valid for ${this.ttlMs} ms`);
+    return { confirmationToken: token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Validates and invalidates the token, throws an Error if it must not be used for this call
+  consume(session, tool, token, args) {
+    const entry = this.tokens.get(token);
+    if (!entry) {
+      throw new Error("Unknown or already used confirmation token. Call the tool again without token to get a new preview.");
+    }
+    if (entry.sessionId !== session.id) {
+      throw new Error("The confirmation token belongs to another MCP session.");
+    }
+    this.tokens.delete(token);
+    if (entry.expiresAt < Date.now()) {
+      throw new Error("The confirmation token has expired. Call the tool again without token to get a new preview.");
+    }
+    if (entry.connection !== session.connection.name) {
+      throw new Error(`The confirmation token was issued for the connection '${entry.connection}', not for '${session.connection.name}'.`);
+    }
+    if (entry.tool !== tool) {
+      throw new Error(`The confirmation token was issued for '${entry.tool}', not for '${tool}'.`);
+    }
+    if (entry.hash !== hashArguments(args)) {
+      throw new Error("The arguments differ from the previewed ones, the token is now invalid. Call the tool again without token to get a new preview.");
+    }
+    console.log(`[Confirmations] Token for '${tool}' confirmed by MCP session ${session.id}`);
+  }
+
+  // Tokens of a closed MCP session can never be used again
+  dropSession(sessionId) {
+    for (const [token, entry] of this.tokens) {
+      if (entry.sessionId === sessionId) {
+        this.tokens.delete(token);
+      }
+    }
+  }
+
+  #sweep() {
+    const now = Date.now();
+    for (const [token, entry] of this.tokens) {
+      if (entry.expiresAt < now) {
+        this.tokens.delete(token);
+      }
+    }
+  }
+}
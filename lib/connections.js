@@ -0,0 +1,279 @@
+/*
+ * Named connections to several WinCC Unified servers (e.g. one per plant) behind one MCP server.
+ *
+ * Without CONNECTIONS_FILE there is a single connection "default" configured by GRAPHQL_URL, GRAPHQL_USR and GRAPHQL_PWD.
+ * With more than one connection, every tool gets a connection parameter. A call without it goes to the connection that
+ * serves the system prefix of the names in its arguments ("PlantA::Tank1.Level"), otherwise to the default connection.
+ * The connection of the running call is kept in an AsyncLocalStorage, McpSession resolves its client with it.
+ *
+ * File format:
+ *   {
+ *     "connections": [
+ *       { "name": "plant-a", "url": "https://plant-a/graphql", "username": "svc", "password": "...", "systemNames": ["PlantA"], "default": true },
+ *       { "name": "plant-b", "url": "https://plant-b1/graphql", "backupUrl": "https://plant-b2/graphql", "rejectUnauthorized": true, "systemNames": ["PlantB"] }
+ *     ]
+ *   }
+ * Missing credentials and timeouts are taken from the environment (GRAPHQL_USR, GRAPHQL_PWD, GRAPHQL_TIMEOUT_MS, ...).
+ * A connection with backupUrl (and optionally backupWsUrl) is a redundant pair, see redundancy.js.
+*/
+
+import fs from 'fs';
+import { Agent } from 'undici';
+import { AsyncLocalStorage } from 'async_hooks';
+import { z } from "zod";
+import { WinccClient } from "./graphql-client.js";
+import { WinccIdentity } from "./sessions.js";
+import { toWebSocketUrl } from "./subscriptions.js";
+import { RedundancyMonitor } from "./redundancy.js";
+
+// Value of the connection parameter that runs a fan-out tool on every connection
+export const ALL_CONNECTIONS = "*";
+
+// Tools that can run on all connections at once; their results are merged with the connection name attached
+export const FAN_OUT_TOOLS = new Set(["get-active-alarms", "browse-objects"]);
+
+const activeConnection = new AsyncLocalStorage();
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// One WinCC Unified server (or redundant pair) with its own client, TLS settings and service account
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+export class Connection {
+  constructor({ name, url, wsUrl, backupUrl, backupWsUrl, username, password, rejectUnauthorized = false, systemNames = [], timeoutMs, retries, retryDelayMs, identityOptions = {} }) {
+    this.name = name;
+    this.primary = { url, subscriptionUrl: wsUrl || toWebSocketUrl(url) };
+    this.rejectUnauthorized = rejectUnauthorized; // false accepts self-signed certificates
+    this.systemNames = systemNames;               // WinCC systems served by this connection, for the routing by name prefix
+    this.identityOptions = identityOptions;       // renewBeforeMs, fallbackRenewMs, loginBackoffMs, loginBackoffMaxMs
+
+    // When the server rejects the token, the client logs in again with the credentials of the calling session and repeats the call once
+    this.wincc = new WinccClient({
+      url,
+      timeoutMs,
+      retries,
+      retryDelayMs,
+      dispatcher: new Agent({ connect: { rejectUnauthorized } }),
+      failover: backupUrl ? (failedUrl, error) => this.redundancy.failover(failedUrl, error.message) : null,
+    });
+    this.serviceIdentity = username && password ? this.createIdentity(username, password, `Service Logon ${name}`) : null;
+
+    // Requests and subscriptions follow the active host; identities log in again there
+    this.redundancy = backupUrl
+      ? new RedundancyMonitor({
+          label: name,
+          hosts: [this.primary, { url: backupUrl, subscriptionUrl: backupWsUrl || toWebSocketUrl(backupUrl) }],
+          getToken: () => this.serviceIdentity?.token || null,
+          rejectUnauthorized,
+        })
+      : null;
+    this.redundancy?.on('switchover', () => {
+      this.wincc.url = this.url;
+      this.serviceIdentity?.hostChanged();
+    });
+  }
+
+  // GraphQL and WebSocket URL of the active host
+  get url() {
+    return this.redundancy ? this.redundancy.activeHost.url : this.primary.url;
+  }
+
+  get subscriptionUrl() {
+    return this.redundancy ? this.redundancy.activeHost.subscriptionUrl : this.primary.subscriptionUrl;
+  }
+
+  createIdentity(username, password, label) {
+    return new WinccIdentity(this.wincc, { username, password, label, ...this.identityOptions });
+  }
+
+  servesSystem(systemName) {
+    return this.systemNames.some(name => name.toLowerCase() === systemName.toLowerCase());
+  }
+}
+
+// System names referenced by the arguments of a tool call: the prefixes of names like "System1::Tag1" at any depth, and the
+// entries of systemNames parameters. Wildcard prefixes route nowhere.
+function referencedSystemNames(value, key = null, found = new Set()) {
+  if (typeof value === "string") {
+    const prefix = key === "systemNames" ? value : /^([^:*?\s'"]+)::/.exec(value)?.[1];
+    if (prefix && !/[*?]/.test(prefix)) {
+      found.add(prefix);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach(item => referencedSystemNames(item, key, found));
+  } else if (value && typeof value === "object") {
+    Object.entries(value).forEach(([childKey, child]) => referencedSystemNames(child, childKey, found));
+  }
+  return found;
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// All connections of the MCP server
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+export class ConnectionRegistry {
+  constructor(connections, defaultName = null) {
+    this.connections = new Map(connections.map(connection => [connection.name, connection]));
+    this.default = this.connections.get(defaultName) || connections[0];
+  }
+
+  // file: JSON file with the connections, see above; settings: the connection from the environment and the defaults of all connections
+  static load({ file, url, wsUrl, backupUrl, backupWsUrl, ...settings } = {}) {
+    if (!file) {
+      return new ConnectionRegistry([new Connection({ name: "default", url, wsUrl, backupUrl, backupWsUrl, ...settings })]);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot load connections from ${file}: ${error.message}`);
+    }
+    const entries = Array.isArray(config) ? config : config.connections || [];
+    if (entries.length === 0) {
+      throw new Error(`Invalid connections file ${file}: no connections defined.`);
+    }
+    const names = new Set();
+    for (const entry of entries) {
+      if (!entry.name || !entry.url || entry.name === ALL_CONNECTIONS) {
+        throw new Error(`Invalid connections file ${file}: every connection needs a name (not "${ALL_CONNECTIONS}") and a url.`);
+      }
+      if (names.has(entry.name)) {
+        throw new Error(`Invalid connections file ${file}: the connection name '${entry.name}' is used twice.`);
+      }
+      names.add(entry.name);
+    }
+    return new ConnectionRegistry(
+      entries.map(({ default: isDefault, ...entry }) => new Connection({ ...settings, ...entry })),
+      entries.find(entry => entry.default)?.name,
+    );
+  }
+
+  get size() {
+    return this.connections.size;
+  }
+
+  get names() {
+    return [...this.connections.keys()];
+  }
+
+  list() {
+    return [...this.connections.values()];
+  }
+
+  get(name) {
+    const connection = this.connections.get(name);
+    if (!connection) {
+      throw new Error(`Unknown connection '${name}'. Connections: ${this.names.join(", ")}.`);
+    }
+    return connection;
+  }
+
+  // Connection of the running tool call, the default connection outside of tool calls (resources, background tasks)
+  get current() {
+    return activeConnection.getStore() || this.default;
+  }
+
+  // Runs fn with connection as the current connection, also for everything fn awaits
+  run(connection, fn) {
+    return activeConnection.run(connection, fn);
+  }
+
+  // Connection of the names in the arguments of a tool call; throws if they belong to different connections
+  route(args) {
+    const matches = new Map(); // Connection -> referenced system names
+    for (const systemName of referencedSystemNames(args)) {
+      const connection = this.list().find(candidate => candidate.servesSystem(systemName));
+      if (connection) {
+        matches.set(connection, [...(matches.get(connection) || []), systemName]);
+      }
+    }
+    if (matches.size > 1) {
+      const details = [...matches].map(([connection, systemNames]) => `${connection.name}: ${systemNames.join(", ")}`).join("; ");
+      throw new Error(`The names belong to different connections (${details}). Call the tool once per connection.`);
+    }
+    return matches.keys().next().value || this.default;
+  }
+
+  startServiceAccounts() {
+    for (const connection of this.list()) {
+      connection.serviceIdentity?.startRenewal();
+    }
+  }
+
+  startRedundancyMonitors() {
+    for (const connection of this.list()) {
+      connection.redundancy?.start();
+    }
+  }
+
+  async stopRedundancyMonitors() {
+    await Promise.all(this.list().map(connection => connection.redundancy?.stop()));
+  }
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// Connection parameter of the tools
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+// Runs a fan-out tool on every connection. JSON arrays are merged into { results, errors } with the connection attached to
+// every item, other output formats are returned as one section per connection. Fails only if all connections fail.
+async function callAllConnections(connections, handler, args, executionContext) {
+  const settled = await Promise.all(connections.list().map(connection =>
+    connections.run(connection, () => handler(args, executionContext))
+      .then(result => ({ connection, text: result.content?.[0]?.text ?? "" }), error => ({ connection, error }))
+  ));
+  const failed = settled.filter(entry => entry.error);
+  if (failed.length === settled.length) {
+    throw new Error(`Failed on all connections: ${failed.map(({ connection, error }) => `${connection.name}: ${error.message}`).join("; ")}`);
+  }
+  const errors = failed.map(({ connection, error }) => ({ connection: connection.name, error: error.message }));
+  const succeeded = settled.filter(entry => !entry.error).map(entry => {
+    try {
+      return { ...entry, json: JSON.parse(entry.text) };
+    } catch {
+      return entry;
+    }
+  });
+
+  if (succeeded.every(entry => Array.isArray(entry.json))) {
+    const results = succeeded.flatMap(({ connection, json }) => json.map(item => ({ connection: connection.name, ...item })));
+    return { content: [{ type: "text", text: JSON.stringify({ results, errors }) }] };
+  }
+  const sections = [
+    ...succeeded.map(({ connection, text }) => `## ${connection.name}\n${text}`),
+    ...errors.map(({ connection, error }) => `## ${connection}\nFailed: ${error}`),
+  ];
+  return { content: [{ type: "text", text: sections.join("\n\n") }] };
+}
+
+// Adds the connection parameter to every tool registered on the server after this call, and runs the tool with the selected
+// connection. Does nothing with a single connection, so the tools keep their parameters.
+export function routeToolsByConnection(server, connections) {
+  if (connections.size < 2) {
+    return;
+  }
+  const registerTool = server.tool.bind(server);
+  server.tool = (name, description, paramsSchema, handler) => {
+    const fanOut = FAN_OUT_TOOLS.has(name);
+    const values = fanOut ? [...connections.names, ALL_CONNECTIONS] : connections.names;
+    const connectionDescription = `
+    The connection parameter selects the WinCC Unified server (${connections.names.join(", ")}). Without it, the call goes to the
+    connection that serves the system prefix of the names in the arguments, otherwise to '${connections.default.name}'.${fanOut
+      ? ` "${ALL_CONNECTIONS}" runs the call on all connections: JSON results are merged into { results, errors } with the connection
+    attached to every result, connections that fail are listed in errors.` : ""}
+    `;
+
+    return registerTool(name, `${description}${connectionDescription}`, { ...paramsSchema, connection: z.enum(values).optional() },
+      async ({ connection: connectionName, ...args }, executionContext) => {
+        if (connectionName === ALL_CONNECTIONS) {
+          return callAllConnections(connections, handler, args, executionContext);
+        }
+        const connection = connectionName ? connections.get(connectionName) : connections.route(args);
+        try {
+          return await connections.run(connection, () => handler(args, executionContext));
+        } catch (error) {
+          throw new Error(`Connection '${connection.name}': ${error.message}`);
+        }
+      });
+  };
+}
@@ -0,0 +1,87 @@
+/*
+ * Human-friendly durations ("90s", "15 min", "1h30m", "2 days", "PT8H") converted to milliseconds,
+ * which is what the WinCC Unified Timespan scalar expects.
+*/
+
+const UNIT_MS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+const UNIT_ALIASES = {
+  ms: "ms", msec: "ms", millisecond: "ms", milliseconds: "ms",
+  s: "s", sec: "s", secs: "s", second: "s", seconds: "s",
+  m: "m", min: "m", mins: "m", minute: "m", minutes: "m",
+  h: "h", hr: "h", hrs: "h", hour: "h", hours: "h",
+  d: "d", day: "d", days: "d",
+  w: "w", week: "w", weeks: "w",
+};
+
+const ISO_PATTERN = /^P(?:(\d+(?:\.\d+)?)W)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i;
+
+// Returns the duration in milliseconds, throws an Error with a readable message for invalid input
+export function parseDuration(input) {
+  if (typeof input === "number") {
+    if (!Number.isFinite(input) || input < 0) {
+      throw new Error(`Invalid duration: ${input}`);
+    }
+    return Math.round(input * UNIT_MS.s); // Plain numbers are seconds
+  }
+
+  const text = String(input ?? "").trim();
+  if (text === "") {
+    throw new Error("Duration is empty.");
+  }
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * UNIT_MS.s);
+  }
+
+  const iso = ISO_PATTERN.exec(text);
+  if (iso && text.length > 1 && !/T$/i.test(text)) {
+    const [, weeks, days, hours, minutes, seconds] = iso.map(part => parseFloat(part || "0"));
+    return Math.round(weeks * UNIT_MS.w + days * UNIT_MS.d + hours * UNIT_MS.h + minutes * UNIT_MS.m + seconds * UNIT_MS.s);
+  }
+
+  // One or more "<number> <unit>" parts, e.g. "1h 30m" or "2 hours and 15 minutes"
+  const partPattern = /(\d+(?:\.\d+)?)\s*([a-z]+)/gi;
+  let total = 0;
+  let consumed = "";
+  let match;
+  while ((match = partPattern.exec(text)) !== null) {
+    const unit = UNIT_ALIASES[match[2].toLowerCase()];
+    if (!unit) {
+      throw new Error(`Invalid duration '${text}': unknown unit '${match[2]}'. Use ms, s, min, h, d or w, e.g. "30 min" or "1h30m".`);
+    }
+    total += parseFloat(match[1]) * UNIT_MS[unit];
+    consumed += match[0];
+  }
+  const leftover = text.replace(partPattern, "").replace(/\band\b|[\s,]/gi, "");
+  if (consumed === "" || leftover !== "") {
+    throw new Error(`Invalid duration '${text}'. Use e.g. "90s", "30 min", "1h30m", "2 days" or an ISO 8601 duration like "PT8H".`);
+  }
+  return Math.round(total);
+}
+
+// 5400000 -> "1h 30m"
+export function formatDuration(ms) {
+  if (!ms) {
+    return "0s";
+  }
+  const parts = [];
+  let rest = Math.round(ms);
+  for (const unit of ["d", "h", "m", "s"]) {
+    const count = Math.floor(rest / UNIT_MS[unit]);
+    if (count > 0) {
+      parts.push(`${count}${unit}`);
+      rest -= count * UNIT_MS[unit];
+    }
+  }
+  if (rest > 0 || parts.length === 0) {
+    parts.push(`${rest}ms`);
+  }
+  return parts.join(" ");
+}
@@ -0,0 +1,194 @@
+/*
+ * Files written by export-logged-data and generate-shift-report, and the expiring download links for them.
+ *
+ * Every export gets a random ID and a random token, the file can be downloaded with both until the export expires.
+ * Expired exports are deleted together with their file. The list of exports is only kept in memory, so files left
+ * over from a previous run are deleted at startup once they are older than the expiry time. Only files named like
+ * the exports are deleted, other files in the directory are left alone.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+import { finished, pipeline } from 'stream/promises';
+import { randomUUID, randomBytes, timingSafeEqual } from 'crypto';
+
+export const EXPORT_URI_PREFIX = "winccua://export/";
+
+const MIME_TYPES = { csv: "text/csv", ndjson: "application/x-ndjson", md: "text/markdown; charset=utf-8", html: "text/html; charset=utf-8" };
+
+// Names of the export files: ${id}-${source}-${timestamp}.${format}[.gz], see create()
+const EXPORT_FILE_NAME = new RegExp(
+  "^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}-[A-Za-z-]+-\\d{4}-\\d{2}-\\d{2}T\\d{2}-\\d{2}-\\d{2}-\\d{3}Z" +
+  `\\.(${Object.keys(MIME_TYPES).join("|")})(\\.gz)?$`);
+
+// Writes text to the export file; write() waits while the stream buffer is full, so the data is never held in memory
+class ExportWriter {
+  constructor(filePath, gzip) {
+    this.file = fs.createWriteStream(filePath);
+    if (gzip) {
+      this.stream = zlib.createGzip();
+      this.done = pipeline(this.stream, this.file);
+    } else {
+      this.stream = this.file;
+      this.done = finished(this.file);
+    }
+    this.done.catch(() => {}); // Reported by write() or close()
+  }
+
+  async write(text) {
+    if (!this.stream.write(text)) {
+      await once(this.stream, 'drain');
+    }
+  }
+
+  async close() {
+    this.stream.end();
+    await this.done;
+  }
+
+  destroy() {
+    this.stream.destroy();
+    this.file.destroy();
+  }
+}
+
+function sameToken(a, b) {
+  const bufferA = Buffer.from(String(a || ""));
+  const bufferB = Buffer.from(String(b || ""));
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+export class ExportStore {
+  // baseUrl: URL of this server as seen by the clients, used for the download links
+  constructor({ dir = "exports", ttlMs = 3600000, baseUrl = "http://localhost:3000" } = {}) {
+    this.dir = path.resolve(dir);
+    this.ttlMs = ttlMs;
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.exports = new Map(); // id -> { id, token, sessionId, fileName, filePath, ... }
+    this.sweepTimer = setInterval(() => this.#sweep(), Math.min(60000, ttlMs)).unref();
+  }
+
+  // Deletes export files of a previous run that are older than the expiry time
+  async cleanup() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      return;
+    }
+    const known = new Set([...this.exports.values()].map(entry => path.basename(entry.filePath)));
+    for (const file of files) {
+      if (!EXPORT_FILE_NAME.test(file) || known.has(file)) {
+        continue;
+      }
+      const filePath = path.join(this.dir, file);
+      const stat = await fs.promises.stat(filePath).catch(() => null);
+      if (stat?.isFile() && stat.mtimeMs + this.ttlMs < Date.now()) {
+        await fs.promises.unlink(filePath).catch(() => {});
+      }
+    }
+  }
+
+  // Creates the file of a new export, returns the entry and the writer for its content
+  async create(session, { source, format, gzip }) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const id = randomUUID();
+    const createdAt = new Date();
+    const fileName = `${source}-${createdAt.toISOString().replace(/[:.]/g, "-")}.${format}${gzip ? ".gz" : ""}`;
+    const entry = {
+      id,
+      token: randomBytes(24).toString('base64url'),
+      sessionId: session.id,
+      source,
+      format,
+      gzip,
+      fileName,
+      filePath: path.join(this.dir, `${id}-${fileName}`),
+      mimeType: gzip ? "application/gzip" : MIME_TYPES[format],
+      status: "running",
+      rows: 0,
+      bytes: 0,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + this.ttlMs).toISOString(),
+    };
+    this.exports.set(id, entry);
+    return { entry, writer: new ExportWriter(entry.filePath, gzip) };
+  }
+
+  // rows: number of values or alarms in the file, null for files without rows like the shift reports
+  async complete(entry, writer, rows) {
+    await writer.close();
+    const stat = await fs.promises.stat(entry.filePath);
+    entry.status = "complete";
+    entry.rows = rows;
+    entry.bytes = stat.size;
+  }
+
+  // Removes an export that could not be written completely
+  async fail(entry, writer) {
+    writer.destroy();
+    this.exports.delete(entry.id);
+    await fs.promises.unlink(entry.filePath).catch(() => {});
+  }
+
+  // The export, if it belongs to the MCP session and has not expired
+  get(id, sessionId) {
+    const entry = this.exports.get(id);
+    return entry && entry.sessionId === sessionId && Date.parse(entry.expiresAt) > Date.now() ? entry : null;
+  }
+
+  listForSession(sessionId) {
+    return [...this.exports.values()].filter(entry => entry.sessionId === sessionId && Date.parse(entry.expiresAt) > Date.now());
+  }
+
+  // For the download route: the completed export with this ID and token, or null
+  resolveDownload(id, token) {
+    const entry = this.exports.get(id);
+    if (!entry || entry.status !== "complete" || Date.parse(entry.expiresAt) <= Date.now() || !sameToken(entry.token, token)) {
+      return null;
+    }
+    return entry;
+  }
+
+  uri(entry) {
+    return EXPORT_URI_PREFIX + entry.id;
+  }
+
+  downloadUrl(entry) {
+    return `${this.baseUrl}/exports/${entry.id}/${encodeURIComponent(entry.fileName)}?token=${entry.token}`;
+  }
+
+  describe(entry) {
+    return {
+      uri: this.uri(entry),
+      fileName: entry.fileName,
+      source: entry.source,
+      format: entry.format,
+      gzip: entry.gzip,
+      mimeType: entry.mimeType,
+      status: entry.status,
+      ...(entry.rows !== null ? { rows: entry.rows } : {}),
+      bytes: entry.bytes,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+      ...(entry.status === "complete" ? { downloadUrl: this.downloadUrl(entry) } : {}),
+    };
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+  }
+
+  #sweep() {
+    const now = Date.now();
+    for (const [id, entry] of this.exports) {
+      if (entry.status !== "running" && Date.parse(entry.expiresAt) <= now) {
+        this.exports.delete(id);
+        fs.promises.unlink(entry.filePath).catch(() => {});
+        console.log(`[Exports] Export ${entry.fileName} expired and was deleted`);
+      }
+    }
+  }
+}
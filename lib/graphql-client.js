@@ -0,0 +1,222 @@
+/*
+ * Shared client for the WinCC Unified GraphQL server.
+ *
+ * All tools go through this client, so timeouts, retries, re-login on rejected tokens and
+ * error reporting behave the same way everywhere.
+*/
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// WinCC Unified error codes (see the Errors sections in sdl.gql)
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+export const WinccErrorCodes = {
+  "0": "Success",
+  "1": "Generic error",
+  "2": "Cannot resolve provided name",
+  "3": "Argument error",
+  "101": "Incorrect credentials provided",
+  "102": "UMC error",
+  "103": "Nonce expired",
+  "201": "Cannot convert provided value to data type",
+  "202": "Only leaf elements of a Structure Tag can be addressed",
+  "301": "Syntax error in query string",
+  "302": "At least one of the requested languages is invalid",
+  "303": "The provided filter language is invalid",
+  "304": "Invalid object state",
+  "305": "The alarm cannot be read / acknowledged / reset in current state",
+};
+
+export class WinccError extends Error {
+  constructor(message, { code = null, status = null, operation = null, errors = null, transient = false, unauthorized = false, unreachable = false, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "WinccError";
+    this.code = code !== null && code !== undefined ? String(code) : null; // WinCC error code, e.g. "301"
+    this.status = status;                                                 // HTTP status, if any
+    this.operation = operation;                                           // GraphQL operation name
+    this.errors = errors;                                                 // Raw GraphQL errors array
+    this.transient = transient;                                           // Worth retrying (timeouts, 5xx, network)
+    this.unauthorized = unauthorized;                                     // Token missing, expired or rejected
+    this.unreachable = unreachable;                                       // No connection to the host (refused, reset, DNS, TLS)
+  }
+}
+
+// Returns true if a WinCC error object ({ code, description }) reports a failure
+export function isErrorResult(error) {
+  return !!error && error.code !== null && error.code !== undefined && String(error.code) !== "0";
+}
+
+// Collects the failed items of a per-item result list (writeTagValues, acknowledgeAlarms, tagValues, ...)
+export function collectItemErrors(results, nameOf = item => item.name ?? item.alarmName ?? item.loggingTagName) {
+  return (results || [])
+    .filter(item => item && isErrorResult(item.error))
+    .map(item => ({
+      name: nameOf(item),
+      ...(item.alarmInstanceID !== undefined ? { instanceID: item.alarmInstanceID } : {}),
+      code: String(item.error.code),
+      description: item.error.description || WinccErrorCodes[String(item.error.code)] || "Unknown error",
+    }));
+}
+
+const UNAUTHORIZED_PATTERN = /unauthori[sz]ed|not logged in|not authenticated|invalid (session|token)|session (has )?expired|token (has )?expired/i;
+
+function operationNameOf(query) {
+  const match = /^\s*(query|mutation|subscription)\s+(\w+)/.exec(query);
+  return match ? match[2] : "anonymous";
+}
+
+function isMutationQuery(query) {
+  return /^\s*mutation\b/.test(query);
+}
+
+function errorCodeOf(graphqlError) {
+  const code = graphqlError?.extensions?.code ?? graphqlError?.code;
+  if (code !== undefined && code !== null) {
+    return String(code);
+  }
+  const match = /\b(?:code|error)[\s:]*(\d{1,3})\b/i.exec(graphqlError?.message || "");
+  return match ? match[1] : null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// Client
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+export class WinccClient {
+  // auth: { getToken(): string|null, relogin(): Promise<void> } used when a call does not provide its own
+  // failover: (url, error) => true if requests go to another host now, for redundant servers (see redundancy.js)
+  // dispatcher: undici Agent of the connection, e.g. for its TLS settings; the built-in fetch ignores an http(s).Agent
+  constructor({ url, timeoutMs = 30000, retries = 2, retryDelayMs = 500, dispatcher, auth = null, failover = null } = {}) {
+    this.url = url; // Changed by a redundancy switchover
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.retryDelayMs = retryDelayMs;
+    this.dispatcher = dispatcher;
+    this.auth = auth;
+    this.failover = failover;
+  }
+
+  // Returns a view of this client that uses the given auth unless a call provides its own
+  withAuth(auth) {
+    const client = this;
+    return {
+      get url() {
+        return client.url;
+      },
+      query: (query, variables, options = {}) => this.query(query, variables, { auth, ...options }),
+      mutate: (query, variables, options = {}) => this.mutate(query, variables, { auth, ...options }),
+      request: (query, variables, options = {}) => this.request(query, variables, { auth, ...options }),
+    };
+  }
+
+  // Idempotent queries: retried with backoff on transient failures
+  query(query, variables = {}, options = {}) {
+    return this.request(query, variables, { ...options, mutation: false });
+  }
+
+  // Mutations: never retried, except once after a re-login when the token was rejected
+  mutate(query, variables = {}, options = {}) {
+    return this.request(query, variables, { ...options, mutation: true });
+  }
+
+  async request(query, variables = {}, options = {}) {
+    const mutation = options.mutation ?? isMutationQuery(query);
+    const operation = options.operation || operationNameOf(query);
+    const auth = options.auth === undefined ? this.auth : options.auth;
+    const maxAttempts = mutation ? 1 : (options.retries ?? this.retries) + 1;
+
+    let reloggedIn = false;
+    let failedOver = false;
+    for (let attempt = 1; ; attempt++) {
+      const url = this.url;
+      try {
+        return await this.#send(url, query, variables, { operation, token: auth?.getToken?.() || null, timeoutMs: options.timeoutMs ?? this.timeoutMs });
+      } catch (error) {
+        if (error.unauthorized && auth?.relogin && !reloggedIn) {
+          // The request was rejected before it was executed, so repeating it once is safe even for mutations
+          console.warn(`[GraphQL] ${operation}: token rejected, logging in again and retrying once.`);
+          reloggedIn = true;
+          await auth.relogin();
+          attempt--;
+          continue;
+        }
+        // Host not reachable: queries are repeated once on the other host of a redundant pair. Mutations are not repeated,
+        // they may have been executed before the connection was lost. A timeout is no reason to switch, a slow query on a
+        // healthy host would move the whole connection to the passive one.
+        if (error.unreachable && this.failover && !failedOver && this.failover(url, error)) {
+          failedOver = true;
+          if (mutation) {
+            throw new WinccError(`${error.message}; switched to the other redundant host ${this.url}, the mutation was not repeated.`, { operation, transient: true, cause: error });
+          }
+          console.warn(`[GraphQL] ${operation}: ${url} not reachable, repeating on ${this.url}.`);
+          attempt--;
+          continue;
+        }
+        if (!error.transient || attempt >= maxAttempts) {
+          throw error;
+        }
+        const delay = this.retryDelayMs * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+        console.warn(`[GraphQL] ${operation}: attempt ${attempt}/${maxAttempts} failed (${error.message}), retrying in ${Math.round(delay)} ms.`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async #send(url, query, variables, { operation, token, timeoutMs }) {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+    if (token) {
+      headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: headers,
+        dispatcher: this.dispatcher,
+        body: JSON.stringify({ query, variables }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        throw new WinccError(`${operation} timed out after ${timeoutMs} ms`, { operation, transient: true, cause: error });
+      }
+      throw new WinccError(`${operation} request failed: ${error.cause?.message || error.message}`, { operation, transient: true, unreachable: true, cause: error });
+    }
+
+    if (!response.ok) {
+      const errorBody = await response.text().catch(() => "");
+      console.error(`[GraphQL] ${operation} request failed with status ${response.status}: ${errorBody}`);
+      throw new WinccError(`${operation} request failed: ${response.status} - ${response.statusText}`, {
+        operation,
+        status: response.status,
+        transient: response.status >= 500 || response.status === 429,
+        unauthorized: response.status === 401 || response.status === 403,
+      });
+    }
+
+    const jsonResponse = await response.json();
+
+    if (jsonResponse.errors && jsonResponse.errors.length > 0) {
+      console.error(`[GraphQL] ${operation} errors:`, JSON.stringify(jsonResponse.errors, null, 2));
+      const unauthorized = jsonResponse.errors.some(e => e?.extensions?.code === 'UNAUTHENTICATED' || UNAUTHORIZED_PATTERN.test(e?.message || ""));
+      const code = jsonResponse.errors.map(errorCodeOf).find(c => c !== null) ?? null;
+      throw new WinccError(`${operation} errors: ${jsonResponse.errors.map(e => e.message).join(", ")}${code ? ` (Code: ${code})` : ""}`, {
+        operation,
+        code,
+        errors: jsonResponse.errors,
+        unauthorized,
+      });
+    }
+
+    if (!jsonResponse.data) {
+      console.error(`[GraphQL] ${operation} response missing data:`, JSON.stringify(jsonResponse, null, 2));
+      throw new WinccError(`Received an unexpected response structure from GraphQL server for ${operation}.`, { operation });
+    }
+
+    return jsonResponse.data;
+  }
+}
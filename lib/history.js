@@ -0,0 +1,176 @@
+/*
+ * Logged tag values and logged alarms, read in units for lib/paging.js.
+ *
+ * An interval is split into time chunks of paging.chunkMs, tag history additionally into groups of paging.namesPerCall
+ * names. Neighbouring chunks overlap by 1 ms and every unit filters its items to its own chunk, so each value or alarm
+ * is returned exactly once, whether the server treats the boundaries as inclusive or not.
+*/
+
+import { splitTimeRange, chunkArray } from "./paging.js";
+import { isErrorResult } from "./graphql-client.js";
+
+export const loggedTagValuesQuery = `
+  query GetLoggedTagValues(
+    $names: [String]!,
+    $startTime: Timestamp,
+    $endTime: Timestamp,
+    $maxNumberOfValues: Int,
+    $sortingMode: LoggedTagValuesSortingModeEnum,
+    $boundingValuesMode: LoggedTagValuesBoundingModeEnum
+  ) {
+    loggedTagValues(
+      names: $names,
+      startTime: $startTime,
+      endTime: $endTime,
+      maxNumberOfValues: $maxNumberOfValues,
+      sortingMode: $sortingMode,
+      boundingValuesMode: $boundingValuesMode
+    ) {
+      loggingTagName
+      error {
+        code
+        description
+      }
+      values {
+        value {
+          value
+          timestamp
+          quality {
+            quality
+            subStatus
+          }
+        }
+        flags
+      }
+    }
+  }
+`;
+
+// Columns of the logged alarms, in the order of the query
+export const LOGGED_ALARM_COLUMNS = ["name", "instanceID", "raiseTime", "acknowledgmentTime", "clearTime", "resetTime", "modificationTime", "state", "priority", "eventText", "infoText", "languages", "alarmClassName", "area", "origin", "stateMachine"];
+
+// loggedAlarms query with the given selection set of LoggedAlarm attributes (see lib/alarm-fields.js)
+export function loggedAlarmsQueryFor(selection) {
+  return `
+  query GetLoggedAlarms(
+    $systemNames: [String],
+    $filterString: String,
+    $filterLanguage: String,
+    $languages: [String],
+    $startTime: Timestamp,
+    $endTime: Timestamp,
+    $maxNumberOfResults: Int
+  ) {
+    loggedAlarms(
+      systemNames: $systemNames,
+      filterString: $filterString,
+      filterLanguage: $filterLanguage,
+      languages: $languages,
+      startTime: $startTime,
+      endTime: $endTime,
+      maxNumberOfResults: $maxNumberOfResults
+    ) {
+${selection}
+    }
+  }
+`;
+}
+
+export const loggedAlarmsQuery = loggedAlarmsQueryFor(LOGGED_ALARM_COLUMNS.map(column => `      ${column}`).join("\n"));
+
+// Units of a loggedTagValues query: the time chunks in sort order, each split into groups of names.
+// fetchUnit returns { time, tagIndex, loggingTagName, loggedValue } items, merged in sort order.
+// errors collects the error of every logging tag that was returned, also of tags without values.
+export function loggedTagValuesUnits(client, paging, { names, startTime, endTime, sortingMode, boundingValuesMode }) {
+  const startMs = Date.parse(startTime);
+  const endMs = Date.parse(endTime);
+  const ascending = sortingMode !== "TIME_DESC";
+  const wantsLeft = boundingValuesMode === "LEFT_BOUNDING_VALUES" || boundingValuesMode === "LEFTRIGHT_BOUNDING_VALUES";
+  const wantsRight = boundingValuesMode === "RIGHT_BOUNDING_VALUES" || boundingValuesMode === "LEFTRIGHT_BOUNDING_VALUES";
+  const timeChunks = splitTimeRange(startMs, endMs, paging.chunkMs);
+  const units = (ascending ? timeChunks : timeChunks.reverse()).flatMap(chunk => chunkArray(names, paging.namesPerCall).map(chunkNames => ({
+    ...chunk,
+    names: chunkNames,
+    first: chunk.from === startMs,
+    last: chunk.to === endMs,
+  })));
+  const errors = new Map(); // loggingTagName -> error
+
+  const fetchUnit = async (unit, index, cap) => {
+    const left = unit.first && wantsLeft;
+    const right = unit.last && wantsRight;
+    const data = await client.query(loggedTagValuesQuery, {
+      names: unit.names,
+      startTime: new Date(unit.first ? unit.from : unit.from - 1).toISOString(),
+      endTime: new Date(unit.last ? unit.to : unit.to + 1).toISOString(),
+      maxNumberOfValues: Number.isFinite(cap) ? cap : 0,
+      sortingMode,
+      boundingValuesMode: left && right ? "LEFTRIGHT_BOUNDING_VALUES" : left ? "LEFT_BOUNDING_VALUES" : right ? "RIGHT_BOUNDING_VALUES" : "NO_BOUNDING_VALUES",
+    });
+    const items = [];
+    (data.loggedTagValues || []).forEach((tagResult, tagIndex) => {
+      if (!errors.has(tagResult.loggingTagName) || isErrorResult(tagResult.error)) {
+        errors.set(tagResult.loggingTagName, tagResult.error);
+      }
+      for (const loggedValue of tagResult.values || []) {
+        const time = Date.parse(loggedValue.value?.timestamp);
+        if (Number.isNaN(time)) {
+          continue;
+        }
+        if (!loggedValue.flags?.includes("BOUNDING") && ((!unit.first && time < unit.from) || (!unit.last && time >= unit.to))) {
+          continue;
+        }
+        items.push({ time, tagIndex, loggingTagName: tagResult.loggingTagName, loggedValue });
+      }
+    });
+    // Merged by time and then by tag, so that the first items stay the same when the unit is read again with a larger cap
+    items.sort((a, b) => (ascending ? a.time - b.time : b.time - a.time) || a.tagIndex - b.tagIndex);
+    return Number.isFinite(cap) ? items.slice(0, cap) : items;
+  };
+
+  return { units, fetchUnit, errors };
+}
+
+// Items of loggedTagValuesUnits in the structure of loggedTagValues, one result per logging tag
+export function groupLoggedTagValues(items, errors) {
+  const results = new Map();
+  for (const { loggingTagName, loggedValue } of items) {
+    if (!results.has(loggingTagName)) {
+      results.set(loggingTagName, { loggingTagName, error: errors.get(loggingTagName) || null, values: [] });
+    }
+    results.get(loggingTagName).values.push(loggedValue);
+  }
+  for (const [loggingTagName, error] of errors) {
+    if (!results.has(loggingTagName)) {
+      results.set(loggingTagName, { loggingTagName, error, values: [] });
+    }
+  }
+  return [...results.values()];
+}
+
+// Units of a loggedAlarms query between variables.startTime and variables.endTime, fetchUnit returns the alarms sorted by ModificationTime.
+// query must select modificationTime.
+export function loggedAlarmsUnits(client, paging, variables, query = loggedAlarmsQuery) {
+  const startMs = Date.parse(variables.startTime);
+  const endMs = Date.parse(variables.endTime);
+  const units = splitTimeRange(startMs, endMs, paging.chunkMs);
+
+  const fetchUnit = async (unit) => {
+    // loggedAlarms excludes both boundaries, so later chunks start 1 ms earlier to include alarms modified exactly at their start
+    const first = unit.from === startMs;
+    const data = await client.query(query, {
+      ...variables,
+      startTime: new Date(first ? unit.from : unit.from - 1).toISOString(),
+      endTime: new Date(unit.to).toISOString(),
+      maxNumberOfResults: 0,
+    });
+    // A stable sort keeps the order of the server for equal times, so the cursor offsets stay valid
+    return (data.loggedAlarms || [])
+      .map(alarm => ({ alarm, time: Date.parse(alarm.modificationTime) }))
+      .filter(({ time }) => Number.isNaN(time) || first || time >= unit.from)
+      .sort((a, b) => (a.time || 0) - (b.time || 0))
+      .map(({ alarm }) => alarm);
+  };
+
+  return { units, fetchUnit };
+}
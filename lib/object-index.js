@@ -0,0 +1,345 @@
+/*
+ * Local search index of the WinCC Unified object model, to find tags, alarms and other objects by their technical
+ * name or their display names without trial-and-error browsing.
+ *
+ * The index is filled in the background with the service account: every system is browsed in each configured
+ * language, and the result is compared with the index, so only added, changed and removed objects are updated. A
+ * system that cannot be browsed keeps its previous objects. After a refresh that changed something the index is
+ * saved to a JSON file, which is loaded again at startup, so searches work before the first refresh has finished.
+*/
+
+import fs from 'fs';
+import path from 'path';
+
+const FILE_VERSION = 1;
+
+const browseQuery = `
+  query IndexObjects($nameFilters: [String], $language: String) {
+    browse(nameFilters: $nameFilters, language: $language) {
+      name
+      displayName
+      objectType
+      dataType
+    }
+  }
+`;
+
+// Generic object types of browse-objects and the types they stand for
+const GENERIC_OBJECT_TYPES = {
+  TAG: ["TAG", "SIMPLETAG", "STRUCTURETAG"],
+  TAGTYPE: ["TAGTYPE", "SIMPLETAGTYPE", "STRUCTURETAGTYPE"],
+};
+
+// English number words of a query also match the digits of a name, e.g. "second boiler" finds "Boiler2"
+const NUMBER_WORDS = {
+  one: "1", first: "1", two: "2", second: "2", three: "3", third: "3", four: "4", fourth: "4", five: "5", fifth: "5",
+  six: "6", sixth: "6", seven: "7", seventh: "7", eight: "8", eighth: "8", nine: "9", ninth: "9", ten: "10", tenth: "10",
+};
+
+// Top level objects, elements on any level, and the subelements (alarms, logging tags) of both
+const systemFilters = system => [`${system}::*`, `${system}::*.**`, `${system}::*:*`, `${system}::*.**:*`];
+
+const systemOf = name => name.includes("::") ? name.slice(0, name.indexOf("::")) : "";
+
+// "System1::Boiler2.OutletTemp_PV" -> ["system", "1", "boiler", "2", "outlet", "temp", "pv"]
+export function tokenize(text) {
+  return String(text || "")
+    .replace(/(\p{Ll})(\p{Lu})/gu, "$1 $2")
+    .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, "$1 $2")
+    .replace(/(\p{L})(\p{N})/gu, "$1 $2")
+    .replace(/(\p{N})(\p{L})/gu, "$1 $2")
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+// Edit distance of a and b, or max + 1 as soon as it exceeds max
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// How well one query token matches the tokens of an object: 1 exact, 0.8 prefix, 0.6 substring, 0.5 typo, 0 no match
+function tokenScore(queryToken, tokens) {
+  const maxTypos = queryToken.length >= 8 ? 2 : queryToken.length >= 4 ? 1 : 0;
+  let best = 0;
+  for (const token of tokens) {
+    if (token === queryToken) {
+      return 1;
+    }
+    if (best < 0.8 && token.startsWith(queryToken)) {
+      best = 0.8;
+    } else if (best < 0.6 && queryToken.length >= 3 && token.includes(queryToken)) {
+      best = 0.6;
+    } else if (best < 0.5 && maxTypos > 0 && editDistance(queryToken, token, maxTypos) <= maxTypos) {
+      best = 0.5;
+    }
+  }
+  return best;
+}
+
+const normalize = text => tokenize(text).join(" ");
+
+function matchesObjectType(objectType, objectTypes) {
+  return objectTypes.some(type => (GENERIC_OBJECT_TYPES[type] || [type]).includes(objectType));
+}
+
+export class ObjectIndex {
+  // client: GraphQL client of the service account; languages: display name languages, the first one is the default
+  constructor({ client, file, languages = ["en-US"], refreshMs = 3600000 }) {
+    this.client = client;
+    this.file = file;
+    this.languages = languages;
+    this.refreshMs = refreshMs;
+    this.objects = new Map(); // name -> { name, objectType, dataType, displayNames: { language: text }, tokens }
+    this.refreshedAt = null;
+    this.lastRefresh = null;  // Result of the last refresh: { startedAt, durationMs, added, changed, removed, failedSystems }
+    this.refreshing = null;
+    this.timer = null;
+  }
+
+  get size() {
+    return this.objects.size;
+  }
+
+  // Loads the saved index and refreshes it now and then every refreshMs
+  start() {
+    this.#load();
+    this.#schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  // Concurrent callers share one refresh
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.#refresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+    return this.refreshing;
+  }
+
+  // options: { objectTypes, dataTypes, language, limit }; returns the best matches, highest score first
+  search(query, { objectTypes = [], dataTypes = [], language = this.languages[0], limit = 20 } = {}) {
+    const queryTokens = tokenize(query);
+    const normalizedQuery = queryTokens.join(" ");
+    const lowerQuery = String(query || "").trim().toLowerCase();
+    const wantedDataTypes = dataTypes.map(dataType => dataType.toLowerCase());
+    if (queryTokens.length === 0) {
+      return [];
+    }
+    // All query tokens should match, with more than two tokens one of them may be missing
+    const required = queryTokens.length > 2 ? queryTokens.length - 1 : queryTokens.length;
+
+    const results = [];
+    for (const object of this.objects.values()) {
+      if (objectTypes.length > 0 && !matchesObjectType(object.objectType, objectTypes)) {
+        continue;
+      }
+      if (wantedDataTypes.length > 0 && !wantedDataTypes.includes((object.dataType || "").toLowerCase())) {
+        continue;
+      }
+
+      let sum = 0;
+      let matched = 0;
+      for (const queryToken of queryTokens) {
+        const number = NUMBER_WORDS[queryToken];
+        const score = Math.max(tokenScore(queryToken, object.tokens), number ? tokenScore(number, object.tokens) : 0);
+        sum += score;
+        matched += score > 0 ? 1 : 0;
+      }
+      if (matched < required) {
+        continue;
+      }
+
+      let score = sum / queryTokens.length;
+      const name = object.name.toLowerCase();
+      if (name === lowerQuery) {
+        score += 2;
+      } else if (name.endsWith(`::${lowerQuery}`) || name.endsWith(`.${lowerQuery}`) || name.endsWith(`:${lowerQuery}`)) {
+        score += 1;
+      }
+      if (Object.values(object.displayNames).some(displayName => normalize(displayName) === normalizedQuery)) {
+        score += 1;
+      }
+      results.push({ object, score });
+    }
+
+    // Equal scores: the more specific object, i.e. the one with fewer tokens, first
+    results.sort((a, b) => b.score - a.score || a.object.tokens.length - b.object.tokens.length || a.object.name.localeCompare(b.object.name));
+    return results.slice(0, limit).map(({ object, score }) => ({
+      name: object.name,
+      displayName: object.displayNames[language] ?? Object.values(object.displayNames)[0] ?? "",
+      objectType: object.objectType,
+      dataType: object.dataType,
+      displayNames: object.displayNames,
+      score: Math.round(score * 100) / 100,
+    }));
+  }
+
+  status() {
+    return {
+      objects: this.objects.size,
+      languages: this.languages,
+      refreshedAt: this.refreshedAt,
+      refreshing: !!this.refreshing,
+      lastRefresh: this.lastRefresh,
+      file: this.file || null,
+    };
+  }
+
+  #schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(async () => {
+      try {
+        await this.refresh();
+      } catch (error) {
+        console.error(`[Object Index] Refresh failed: ${error.message}`);
+      }
+      this.#schedule(this.refreshMs);
+    }, delay);
+    this.timer.unref();
+  }
+
+  async #browse(nameFilters, language) {
+    const data = await this.client.query(browseQuery, { nameFilters, language });
+    return data.browse || [];
+  }
+
+  async #refresh() {
+    const startedAt = Date.now();
+    const [defaultLanguage, ...otherLanguages] = this.languages;
+    const systems = [...new Set((await this.#browse(["*::*"], defaultLanguage)).map(object => systemOf(object.name)))];
+
+    const counts = { added: 0, changed: 0, removed: 0 };
+    const failedSystems = [];
+    for (const system of systems) {
+      let browsed;
+      try {
+        browsed = await this.#browseSystem(system, defaultLanguage, otherLanguages);
+      } catch (error) {
+        console.warn(`[Object Index] Browsing system '${system}' failed, keeping its previous objects: ${error.message}`);
+        failedSystems.push(system);
+        continue;
+      }
+      this.#apply(browsed, object => systemOf(object.name) === system, counts);
+    }
+    // Systems that no longer exist
+    this.#apply(new Map(), object => !systems.includes(systemOf(object.name)), counts);
+
+    this.refreshedAt = new Date().toISOString();
+    this.lastRefresh = { startedAt: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, systems: systems.length, ...counts, failedSystems };
+    console.log(`[Object Index] Refreshed ${this.objects.size} objects of ${systems.length} system(s) in ${this.lastRefresh.durationMs} ms: ${counts.added} added, ${counts.changed} changed, ${counts.removed} removed.`);
+    if (counts.added + counts.changed + counts.removed > 0) {
+      await this.#save();
+    }
+    return this.lastRefresh;
+  }
+
+  // name -> entry of all objects of the system, with the display names of all languages
+  async #browseSystem(system, defaultLanguage, otherLanguages) {
+    const filters = systemFilters(system);
+    const browsed = new Map();
+    for (const object of await this.#browse(filters, defaultLanguage)) {
+      browsed.set(object.name, { name: object.name, objectType: object.objectType, dataType: object.dataType, displayNames: { [defaultLanguage]: object.displayName ?? "" } });
+    }
+    for (const language of otherLanguages) {
+      for (const object of await this.#browse(filters, language)) {
+        const entry = browsed.get(object.name);
+        if (entry) {
+          entry.displayNames[language] = object.displayName ?? "";
+        }
+      }
+    }
+    return browsed;
+  }
+
+  // Replaces the indexed objects selected by inScope with the browsed ones, counting the differences
+  #apply(browsed, inScope, counts) {
+    for (const [name, object] of this.objects) {
+      if (inScope(object) && !browsed.has(name)) {
+        this.objects.delete(name);
+        counts.removed++;
+      }
+    }
+    for (const [name, entry] of browsed) {
+      const existing = this.objects.get(name);
+      if (existing && existing.objectType === entry.objectType && existing.dataType === entry.dataType && JSON.stringify(existing.displayNames) === JSON.stringify(entry.displayNames)) {
+        continue;
+      }
+      counts[existing ? "changed" : "added"]++;
+      this.#set(entry);
+    }
+  }
+
+  #set(entry) {
+    const tokens = new Set(tokenize(entry.name));
+    for (const displayName of Object.values(entry.displayNames)) {
+      tokenize(displayName).forEach(token => tokens.add(token));
+    }
+    this.objects.set(entry.name, { ...entry, tokens: [...tokens] });
+  }
+
+  #load() {
+    if (!this.file || !fs.existsSync(this.file)) {
+      return;
+    }
+    try {
+      const content = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (content.version !== FILE_VERSION) {
+        console.warn(`[Object Index] Ignoring ${this.file}, it has version ${content.version} instead of ${FILE_VERSION}.`);
+        return;
+      }
+      for (const entry of content.objects || []) {
+        this.#set(entry);
+      }
+      this.refreshedAt = content.refreshedAt || null;
+      console.log(`[Object Index] Loaded ${this.objects.size} objects from ${this.file} (refreshed at ${this.refreshedAt}).`);
+    } catch (error) {
+      console.warn(`[Object Index] Could not load ${this.file}: ${error.message}`);
+    }
+  }
+
+  // Written to a temporary file first, so a crash never leaves a truncated index behind
+  async #save() {
+    if (!this.file) {
+      return;
+    }
+    const content = {
+      version: FILE_VERSION,
+      refreshedAt: this.refreshedAt,
+      languages: this.languages,
+      objects: [...this.objects.values()].map(({ tokens, ...entry }) => entry),
+    };
+    try {
+      const directory = path.dirname(this.file);
+      await fs.promises.mkdir(directory, { recursive: true });
+      const temporaryFile = `${this.file}.tmp`;
+      await fs.promises.writeFile(temporaryFile, JSON.stringify(content));
+      await fs.promises.rename(temporaryFile, this.file);
+    } catch (error) {
+      console.error(`[Object Index] Could not save ${this.file}: ${error.message}`);
+    }
+  }
+}
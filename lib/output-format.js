@@ -0,0 +1,92 @@
+/*
+ * Output formats of the query tools: json, csv, markdown table and compact text.
+ *
+ * json returns the GraphQL result structure unchanged. The other formats are tables with one row per record:
+ * nested objects become dotted columns (quality.quality), lists of texts or flags are joined with "|".
+*/
+
+export const OUTPUT_FORMATS = ["json", "csv", "markdown", "compact"];
+
+// Appended to the descriptions of the tools with an outputFormat parameter
+export const OUTPUT_FORMAT_DESCRIPTION = `
+    The outputFormat parameter selects the format of the result: json (default, the structure returned by WinCC Unified),
+    csv, markdown (table) or compact (tab-separated text with a header line, fewest tokens). In the table formats nested
+    attributes become dotted columns (e.g. value.quality.quality) and lists are joined with "|".
+    `;
+
+// { name, value: { value, quality: { quality } }, eventText: ["a", "b"] } -> { name, "value.value", "value.quality.quality", eventText: "a|b" }
+export function flattenRecord(record, prefix = "", target = {}) {
+  for (const [key, value] of Object.entries(record || {})) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(value)) {
+      target[column] = value.every(item => item === null || typeof item !== "object")
+        ? value.map(item => item ?? "").join("|")
+        : JSON.stringify(value);
+    } else if (value && typeof value === "object") {
+      flattenRecord(value, column, target);
+    } else {
+      target[column] = value;
+    }
+  }
+  return target;
+}
+
+// Columns in the order of their first appearance
+function columnsOf(records) {
+  const columns = [];
+  const seen = new Set();
+  for (const record of records) {
+    for (const key of Object.keys(record)) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        columns.push(key);
+      }
+    }
+  }
+  return columns;
+}
+
+const cellText = value => value === null || value === undefined ? "" : String(value);
+
+export function csvCell(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function markdownCell(value) {
+  return cellText(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+// Tab-separated, one header line; tabs and line breaks inside values are replaced by spaces
+function compactCell(value) {
+  return cellText(value).replace(/[\t\r\n]+/g, " ");
+}
+
+// json: value to serialize for the json format
+// records: flat records for the table formats, or a function returning them (only called if needed)
+export function formatOutput(format, { json, records }) {
+  if (format === "json") {
+    return JSON.stringify(json, null, 2);
+  }
+
+  const rows = typeof records === "function" ? records() : records;
+  const columns = columnsOf(rows);
+  if (rows.length === 0) {
+    return format === "csv" ? "" : "No data available.";
+  }
+
+  switch (format) {
+    case "csv":
+      return [columns.map(csvCell).join(","), ...rows.map(row => columns.map(column => csvCell(row[column])).join(","))].join("\r\n") + "\r\n";
+    case "markdown":
+      return [
+        `| ${columns.map(markdownCell).join(" | ")} |`,
+        `| ${columns.map(() => "---").join(" | ")} |`,
+        ...rows.map(row => `| ${columns.map(column => markdownCell(row[column])).join(" | ")} |`),
+      ].join("\n") + "\n";
+    case "compact":
+      return [columns.join("\t"), ...rows.map(row => columns.map(column => compactCell(row[column])).join("\t"))].join("\n") + "\n";
+    default:
+      throw new Error(`Unknown output format '${format}', supported: ${OUTPUT_FORMATS.join(", ")}`);
+  }
+}
@@ -0,0 +1,118 @@
+/*
+ * Splitting of large history and alarm log queries into several GraphQL calls, and cursor based paging.
+ *
+ * A query is split into units (a time chunk, for tag history also a group of names). Units are fetched in sort
+ * order with limited concurrency, and their items are appended until the result limit is reached. The cursor
+ * stores the unit and the number of its items that were already returned, so it only depends on the query
+ * arguments and not on any state of the server.
+*/
+
+import { hashArguments } from "./confirmations.js";
+
+// [{ from, to }] in ms, covering start..end without gaps
+export function splitTimeRange(start, end, chunkMs) {
+  const chunks = [];
+  for (let from = start; from < end; from += chunkMs) {
+    chunks.push({ from, to: Math.min(from + chunkMs, end) });
+  }
+  return chunks.length > 0 ? chunks : [{ from: start, to: end }];
+}
+
+export function chunkArray(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// The cursor is bound to the arguments of the query, so it cannot be used to continue a different one
+export function encodeCursor(args, position) {
+  return Buffer.from(JSON.stringify({ v: 1, h: hashArguments(args).slice(0, 16), ...position })).toString('base64url');
+}
+
+export function decodeCursor(cursor, args) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error("Invalid cursor.");
+  }
+  if (position.v !== 1 || !Number.isInteger(position.unit) || !Number.isInteger(position.offset)) {
+    throw new Error("Invalid cursor.");
+  }
+  if (position.h !== hashArguments(args).slice(0, 16)) {
+    throw new Error("The cursor belongs to a query with different arguments. Repeat the call with the same arguments as the call that returned the cursor.");
+  }
+  return { unit: position.unit, offset: position.offset };
+}
+
+// Fetches the units in order, starting at the cursor position, until limit items are collected.
+// fetchUnit(unit, index, cap) must return the items of the unit in a stable order; it may stop after cap items.
+// cap is one more than the items needed from the unit, so that a unit with more items is recognized.
+// Returns { items, next } where next is the position to continue at, or null if everything was returned.
+export async function collectPage({ units, start = { unit: 0, offset: 0 }, limit = Infinity, concurrency = 1, fetchUnit }) {
+  const items = [];
+  const pending = [];
+  let scheduled = start.unit;
+
+  const schedule = () => {
+    while (pending.length < concurrency && scheduled < units.length) {
+      const index = scheduled++;
+      const cap = (index === start.unit ? start.offset : 0) + limit + 1;
+      const promise = fetchUnit(units[index], index, cap);
+      promise.catch(() => {}); // Prefetched units are abandoned when the limit is reached, their errors are not relevant then
+      pending.push({ index, promise });
+    }
+  };
+
+  schedule();
+  while (pending.length > 0) {
+    const { index, promise } = pending.shift();
+    const offset = index === start.unit ? start.offset : 0;
+    const unitItems = (await promise).slice(offset);
+    const room = limit - items.length;
+    if (unitItems.length > room) {
+      items.push(...unitItems.slice(0, room));
+      return { items, next: { unit: index, offset: offset + room } };
+    }
+    items.push(...unitItems);
+    if (items.length >= limit && index + 1 < units.length) {
+      return { items, next: { unit: index + 1, offset: 0 } };
+    }
+    schedule();
+  }
+  return { items, next: null };
+}
+
+// Fetches all units in order with limited concurrency and passes the items of each unit to onItems, which may be async.
+// Only the items of the units fetched ahead are held in memory, so the result can be written out while it is read.
+export async function forEachUnit({ units, concurrency = 1, fetchUnit, signal }, onItems) {
+  const pending = [];
+  let scheduled = 0;
+
+  const schedule = () => {
+    while (pending.length < concurrency && scheduled < units.length) {
+      const index = scheduled++;
+      const promise = fetchUnit(units[index], index, Infinity);
+      promise.catch(() => {}); // Units fetched ahead are abandoned when an earlier one fails
+      pending.push(promise);
+    }
+  };
+
+  schedule();
+  while (pending.length > 0) {
+    signal?.throwIfAborted();
+    await onItems(await pending.shift());
+    schedule();
+  }
+}
+
+// Content item telling the client how to get the next page, empty if there is none
+export function continuationContent(args, next) {
+  if (!next) {
+    return [];
+  }
+  const cursor = encodeCursor(args, next);
+  return [{ type: "text", text: `The result limit was reached, more results are available. To continue, call the tool again with the same arguments and cursor: "${cursor}"` }];
+}
@@ -0,0 +1,37 @@
+/*
+ * Wildcard matching for WinCC Unified object names.
+*/
+
+const escapeRegExp = text => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+// Converts a wildcard pattern to a regular expression.
+// Plain mode: "*" matches any number of characters, "?" exactly one.
+// Hierarchical mode follows the nameFilters rules of browse-objects: "*" and "?" stay within one hierarchy level
+// (they do not match "." or the ":" of a subelement, only the "::" after the system name), "**" matches elements
+// on any hierarchy level, and a pattern of only "*" matches everything.
+export function wildcardToRegExp(pattern, { hierarchical = false } = {}) {
+  if (hierarchical && pattern.trim() === "*") {
+    return /^.*$/s;
+  }
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*") {
+      if (hierarchical && pattern[i + 1] === "*") {
+        source += "(?:[^:]|::)*";
+        i++;
+      } else {
+        source += hierarchical ? "(?:[^.:]|::)*" : ".*";
+      }
+    } else if (char === "?") {
+      source += hierarchical ? "[^.:]" : ".";
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+}
+
+export function matchesWildcard(name, pattern, options) {
+  return wildcardToRegExp(pattern, options).test(name || "");
+}
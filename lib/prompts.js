@@ -0,0 +1,43 @@
+/*
+ * Helpers for the MCP prompts: time windows from prompt arguments, and the message returned to the client.
+ *
+ * Prompt arguments are always strings, so lists are comma separated and durations use the syntax of durations.js.
+*/
+
+import { parseDuration } from "./durations.js";
+
+// "System1::A, System1::B" -> ["System1::A", "System1::B"]
+export function splitArgument(value) {
+  return (value || "").split(",").map(item => item.trim()).filter(Boolean);
+}
+
+// { startTime, endTime } as ISO strings for a period ending at endTime (default: now)
+export function promptTimeRange({ period, endTime }, defaultPeriod) {
+  const end = endTime ? new Date(endTime) : new Date();
+  if (Number.isNaN(end.getTime())) {
+    throw new Error(`Invalid endTime '${endTime}', expected an ISO 8601 timestamp.`);
+  }
+  const start = new Date(end.getTime() - parseDuration(period || defaultPeriod));
+  return { startTime: start.toISOString(), endTime: end.toISOString() };
+}
+
+// JSON of tool arguments for the prompt text, without the ones that are not set
+export function toolArguments(args) {
+  return JSON.stringify(Object.fromEntries(Object.entries(args).filter(([, value]) => value !== undefined && !(Array.isArray(value) && value.length === 0))));
+}
+
+// Note for the model when the server has several connections, see connections.js
+export function connectionsNote(connections, fanOut = false) {
+  if (connections.size < 2) {
+    return "";
+  }
+  return `\nThe server is connected to several WinCC Unified servers (${connections.names.join(", ")}). Names with a system prefix are routed to their server automatically; otherwise pass the connection parameter${fanOut ? `, or connection "*" to get-active-alarms and browse-objects to query all of them` : ""}.\n`;
+}
+
+// Result of a prompt: one user message with the instructions
+export function userPrompt(description, text) {
+  return {
+    description,
+    messages: [{ role: "user", content: { type: "text", text: text.trim() } }],
+  };
+}
@@ -0,0 +1,152 @@
+/*
+ * Checks of the GraphQL documents sent with graphql-query, before they are passed to WinCC Unified.
+ *
+ * A document must contain exactly one operation and be valid against the schema. Subscriptions are rejected (they
+ * need a WebSocket connection), mutations unless the policy allows them. The session fields (login, logout, ...) are
+ * always rejected, and so are the mutations of a tool with the write policy and the two-phase confirmation. The depth
+ * is the nesting level of the deepest field, the cost the number of selected fields, where the selection of a field
+ * that returns a list counts LIST_COST_FACTOR times.
+*/
+
+import { parse, print, visit, validate, Kind, getNamedType, getNullableType, isListType } from 'graphql';
+
+export const LIST_COST_FACTOR = 10;
+
+// The WinCC session of an MCP session belongs to login-user and logout-user
+const SESSION_FIELDS = ["login", "loginSWAC", "logout", "extendSession"];
+
+// Mutations that must go through their tool, with the write policy, the confirmation and the audit of the items
+const GUARDED_MUTATIONS = {
+  writeTagValues: "write-tag-values",
+  acknowledgeAlarms: "acknowledge-alarms",
+  resetAlarms: "reset-alarms",
+  disableAlarms: "disable-alarms",
+  enableAlarms: "enable-alarms",
+  shelveAlarms: "shelve-alarms",
+  unshelveAlarms: "unshelve-alarms",
+};
+
+const CREDENTIAL_NAME = /pass(word)?|secret|token|claim|credential/i;
+const REDACTED = "***";
+
+// Names of the root fields of an operation, also those selected in fragments
+function rootFieldNames(selectionSet, fragments) {
+  return selectionSet.selections.flatMap(selection => {
+    if (selection.kind === Kind.FIELD) {
+      return [selection.name.value];
+    }
+    const fragment = selection.kind === Kind.FRAGMENT_SPREAD ? fragments[selection.name.value] : selection;
+    return fragment ? rootFieldNames(fragment.selectionSet, fragments) : [];
+  });
+}
+
+function redactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, CREDENTIAL_NAME.test(key) ? REDACTED : redactValue(item)]));
+  }
+  return value;
+}
+
+// { query, variables } for the log and the audit trail: variables, arguments and input fields with a credential-like name
+// (password, token, claim, ...) are replaced by "***". A query that cannot be parsed is returned unchanged.
+export function redactQuery(query, variables = {}) {
+  let redacted = query;
+  try {
+    redacted = print(visit(parse(query), {
+      enter(node) {
+        if ((node.kind === Kind.ARGUMENT || node.kind === Kind.OBJECT_FIELD) && CREDENTIAL_NAME.test(node.name.value) && node.value.kind === Kind.STRING) {
+          return { ...node, value: { kind: Kind.STRING, value: REDACTED } };
+        }
+        return undefined;
+      },
+    }));
+  } catch {
+    // Syntax errors are reported by checkQuery
+  }
+  return { query: redacted, variables: redactValue(variables) };
+}
+
+// { depth, cost } of a selection set; fragments are expanded, the document has been validated so they have no cycles
+function measure(schema, selectionSet, parentType, fragments, level) {
+  let depth = level - 1;
+  let cost = 0;
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      const field = parentType.getFields?.()[selection.name.value];
+      if (!field) {
+        continue; // __typename and other meta fields
+      }
+      const list = isListType(getNullableType(field.type));
+      const child = selection.selectionSet
+        ? measure(schema, selection.selectionSet, getNamedType(field.type), fragments, level + 1)
+        : { depth: level, cost: 0 };
+      depth = Math.max(depth, child.depth);
+      cost += 1 + (list ? LIST_COST_FACTOR : 1) * child.cost;
+    } else {
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD ? fragments[selection.name.value] : selection;
+      const type = fragment.typeCondition ? schema.getType(fragment.typeCondition.name.value) : parentType;
+      const inner = measure(schema, fragment.selectionSet, type, fragments, level);
+      depth = Math.max(depth, inner.depth);
+      cost += inner.cost;
+    }
+  }
+  return { depth, cost };
+}
+
+// limits: { allowMutations, maxDepth, maxCost }; returns { operationType, operationName, depth, cost },
+// throws an Error explaining every reason for a rejection
+export function checkQuery(schema, query, { allowMutations = false, maxDepth = 8, maxCost = 5000 } = {}) {
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    throw new Error(`Syntax error: ${error.message}`);
+  }
+
+  const operations = document.definitions.filter(definition => definition.kind === Kind.OPERATION_DEFINITION);
+  if (operations.length !== 1) {
+    throw new Error(`The document must contain exactly one operation, it contains ${operations.length}.`);
+  }
+  const validationErrors = validate(schema, document);
+  if (validationErrors.length > 0) {
+    throw new Error(`The query is not valid against the schema:\n${validationErrors.map(error => `- ${error.message}${error.locations ? ` (line ${error.locations[0].line}, column ${error.locations[0].column})` : ""}`).join("\n")}`);
+  }
+
+  const [operation] = operations;
+  const operationType = operation.operation;
+  if (operationType === "subscription") {
+    throw new Error("Subscriptions are not supported, use the resources of the server for live values and alarms.");
+  }
+  if (operationType === "mutation" && !allowMutations) {
+    throw new Error("Mutations are not allowed by the policy of the server, use the tools for writing tags and changing alarms.");
+  }
+
+  const fragments = Object.fromEntries(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(definition => [definition.name.value, definition]));
+  const rootFields = new Set(rootFieldNames(operation.selectionSet, fragments));
+  const sessionFields = SESSION_FIELDS.filter(field => rootFields.has(field));
+  if (sessionFields.length > 0) {
+    throw new Error(`${sessionFields.join(", ")} cannot be used in graphql-query, use login-user and logout-user to change the user of the session.`);
+  }
+  const guarded = operationType === "mutation" ? [...rootFields].filter(field => GUARDED_MUTATIONS[field]) : [];
+  if (guarded.length > 0) {
+    throw new Error(`The mutations ${guarded.join(", ")} are checked by the write policy and the confirmation of their tools, use ${guarded.map(field => GUARDED_MUTATIONS[field]).join(", ")}.`);
+  }
+  const rootType = operationType === "mutation" ? schema.getMutationType() : schema.getQueryType();
+  const { depth, cost } = measure(schema, operation.selectionSet, rootType, fragments, 1);
+  const violations = [];
+  if (maxDepth > 0 && depth > maxDepth) {
+    violations.push(`depth ${depth} exceeds the maximum of ${maxDepth}`);
+  }
+  if (maxCost > 0 && cost > maxCost) {
+    violations.push(`cost ${cost} exceeds the maximum of ${maxCost} (every field counts 1, the selection of a list field ${LIST_COST_FACTOR} times)`);
+  }
+  if (violations.length > 0) {
+    throw new Error(`The query is too expensive: ${violations.join(", ")}. Select fewer fields or split the query.`);
+  }
+  return { operationType, operationName: operation.name?.value || null, depth, cost };
+}
@@ -0,0 +1,188 @@
+/*
+ * Redundant WinCC Unified servers: a primary and a backup host of a redundant pair behind one connection.
+ *
+ * All requests go to the current host. The monitor subscribes reduState there with the service account and switches to
+ * the other host when the current one reports PASSIVE, when its WebSocket connection is lost, or when a GraphQL request
+ * cannot connect to it (timeouts do not count). It only switches to a host that has not failed, or has answered since it
+ * failed; while neither host answers, the requests stay on the current host and the subscription tries both hosts in turn
+ * until one reports ACTIVE. A 'switchover' event tells the connection to log in again on the new host and the
+ * subscriptions to reconnect there.
+*/
+
+import { EventEmitter } from 'events';
+import { SubscriptionClient } from "./subscriptions.js";
+
+const reduStateSubscription = `
+  subscription ReduState {
+    reduState {
+      value {
+        value
+        timestamp
+      }
+      notificationReason
+    }
+  }
+`;
+
+// Close codes of a lost connection; other codes (e.g. 4401 for a rejected token, 4499 for a restart) are no host failure
+const CONNECTION_LOST_CODES = new Set([1001, 1006]);
+
+export class RedundancyMonitor extends EventEmitter {
+  // hosts: [{ url, subscriptionUrl }] of the primary and the backup host; getToken: token of the service account
+  constructor({ label, hosts, getToken, rejectUnauthorized = false, historySize = 100 }) {
+    super();
+    this.setMaxListeners(0); // Every MCP session adds a listener per connection
+    this.label = `Redundancy ${label}`;
+    this.hosts = hosts.map((host, index) => ({
+      role: index === 0 ? "primary" : "backup",
+      url: host.url,
+      subscriptionUrl: host.subscriptionUrl,
+      reduState: null,           // Last reported ACTIVE / PASSIVE
+      reduStateTimestamp: null,
+      lastAnswer: null,          // Timestamp of the last connect or notification of the reduState subscription
+      lastFailure: null,         // { timestamp, reason } of the last time the host could not be reached
+    }));
+    this.current = 0;            // Host of all requests and subscriptions
+    this.monitored = 0;          // Host of the reduState subscription, differs from current only while the other host is probed
+    this.unreachable = false;    // Neither host answers, the requests stay on the current host
+    this.switchovers = [];       // { timestamp, from, to, fromUrl, toUrl, reason }, oldest first
+    this.historySize = historySize;
+    this.unsubscribe = null;
+    this.subscriptionClient = new SubscriptionClient({
+      url: () => this.hosts[this.monitored].subscriptionUrl,
+      getToken,
+      rejectUnauthorized,
+      label: this.label,
+      onConnected: () => {
+        this.hosts[this.monitored].lastAnswer = new Date().toISOString();
+      },
+      onClosed: (event) => {
+        if (this.unsubscribe && CONNECTION_LOST_CODES.has(event?.code)) {
+          this.#lost(this.monitored, `WebSocket connection lost (${event.code})`);
+        }
+      },
+    });
+  }
+
+  get activeHost() {
+    return this.hosts[this.current];
+  }
+
+  start() {
+    if (this.unsubscribe) {
+      return;
+    }
+    console.log(`[${this.label}] Monitoring ${this.hosts.map(host => `${host.role} ${host.url}`).join(", ")}, starting with ${this.activeHost.role}.`);
+    this.unsubscribe = this.subscriptionClient.subscribe(reduStateSubscription, {}, {
+      next: (data) => this.#notification(data.reduState),
+      error: (error) => console.error(`[${this.label}] Subscription error:`, error.message),
+    });
+  }
+
+  async stop() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    await this.subscriptionClient.dispose();
+  }
+
+  // Switches away from url if it is still the current host and the other host may be reachable. Returns true if requests
+  // go to another host than url now, so that a request that failed on url can be repeated.
+  failover(url, reason) {
+    if (this.activeHost.url === url) {
+      this.activeHost.lastFailure = { timestamp: new Date().toISOString(), reason };
+      if (this.#reachable(this.#other(this.current))) {
+        this.#switch(reason, this.#other(this.current));
+      }
+    }
+    return this.activeHost.url !== url;
+  }
+
+  #other(index) {
+    return (index + 1) % this.hosts.length;
+  }
+
+  // False for a host that could not be reached and has not answered since
+  #reachable(index) {
+    const host = this.hosts[index];
+    return !host.lastFailure || (host.lastAnswer !== null && host.lastAnswer >= host.lastFailure.timestamp);
+  }
+
+  // The reduState subscription to the host lost its connection
+  #lost(index, reason) {
+    this.hosts[index].lastFailure = { timestamp: new Date().toISOString(), reason };
+    const other = this.#other(index);
+    if (this.#reachable(other)) {
+      if (index === this.current) {
+        this.#switch(reason, other);
+      } else {
+        this.monitored = other; // The probed host failed, back to the current one
+      }
+      return;
+    }
+    // Neither host answers: the requests stay where they are and the subscription tries the hosts in turn, with the backoff
+    // of its reconnects, until one of them reports ACTIVE
+    if (!this.unreachable) {
+      this.unreachable = true;
+      console.warn(`[${this.label}] Neither host answers, requests stay on ${this.activeHost.role} ${this.activeHost.url} until a host reports ACTIVE.`);
+    }
+    this.monitored = other;
+  }
+
+  #notification(reduState) {
+    const index = this.monitored;
+    const host = this.hosts[index];
+    host.reduState = reduState?.value?.value || null;
+    host.reduStateTimestamp = reduState?.value?.timestamp || null;
+    host.lastAnswer = new Date().toISOString();
+    console.log(`[${this.label}] ${host.role} host ${host.url} is ${host.reduState} (${reduState?.notificationReason || "notification"}).`);
+
+    if (index !== this.current) {
+      // A probed host becomes the current one once it reports ACTIVE
+      if (host.reduState === "ACTIVE") {
+        this.#switch(`${host.role} host reported ACTIVE`, index);
+      }
+      return;
+    }
+    this.unreachable = false;
+    if (host.reduState === "PASSIVE") {
+      const other = this.#other(index);
+      if (this.#reachable(other)) {
+        this.#switch(`${host.role} host reported PASSIVE`, other);
+      } else {
+        // The other host could not be reached before: probe it first, the requests follow when it reports ACTIVE
+        console.warn(`[${this.label}] ${host.role} host reported PASSIVE, probing ${this.hosts[other].role} ${this.hosts[other].url} before switching.`);
+        this.monitored = other;
+        this.subscriptionClient.restart();
+      }
+    }
+  }
+
+  #switch(reason, to) {
+    const from = this.activeHost;
+    const monitored = this.monitored;
+    this.current = to;
+    this.monitored = to;
+    this.unreachable = false;
+    const target = this.activeHost;
+    const switchover = { timestamp: new Date().toISOString(), from: from.role, to: target.role, fromUrl: from.url, toUrl: target.url, reason };
+    this.switchovers.push(switchover);
+    this.switchovers.splice(0, this.switchovers.length - this.historySize);
+    console.warn(`[${this.label}] Switching from ${from.role} ${from.url} to ${target.role} ${target.url}: ${reason}`);
+    this.emit('switchover', switchover);
+    if (monitored !== to) {
+      this.subscriptionClient.restart();
+    }
+  }
+
+  status() {
+    return {
+      activeHost: this.activeHost.role,
+      activeUrl: this.activeHost.url,
+      monitoring: this.subscriptionClient.connected && this.monitored === this.current,
+      ...(this.unreachable ? { unreachable: true } : {}),
+      ...(this.monitored !== this.current ? { probing: this.hosts[this.monitored].role } : {}),
+      hosts: this.hosts.map(host => ({ ...host })),
+      switchovers: [...this.switchovers].reverse(),
+    };
+  }
+}
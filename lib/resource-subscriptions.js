@@ -0,0 +1,45 @@
+/*
+ * Dispatches MCP resources/subscribe and resources/unsubscribe requests of one server instance
+ * to the resource module that owns the URI prefix.
+*/
+
+import { SubscribeRequestSchema, UnsubscribeRequestSchema } from "@modelcontextprotocol/sdk/types.js";
+
+export class ResourceSubscriptions {
+  constructor(server) {
+    this.server = server;
+    this.handlers = []; // { prefix, subscribe(uri), unsubscribe(uri) }
+
+    server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const handler = this.#handlerFor(request.params.uri);
+      if (!handler) {
+        throw new Error(`Subscriptions are not supported for ${request.params.uri}. Supported: ${this.handlers.map(h => h.prefix + "...").join(", ")}`);
+      }
+      await handler.subscribe(request.params.uri);
+      return {};
+    });
+
+    server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      const handler = this.#handlerFor(request.params.uri);
+      if (handler) {
+        await handler.unsubscribe(request.params.uri);
+      }
+      return {};
+    });
+  }
+
+  handle(prefix, { subscribe, unsubscribe }) {
+    this.handlers.push({ prefix, subscribe, unsubscribe });
+  }
+
+  // Sends notifications/resources/updated, failures are only logged
+  notifyUpdated(uri) {
+    this.server.server.sendResourceUpdated({ uri }).catch(error => {
+      console.error(`[Resources] Sending resource update for ${uri} failed:`, error.message);
+    });
+  }
+
+  #handlerFor(uri) {
+    return this.handlers.find(handler => uri.startsWith(handler.prefix));
+  }
+}
@@ -0,0 +1,104 @@
+/*
+ * Zod schemas for the WinCC Unified GraphQL enums and input types used by the tools.
+*/
+
+import { z } from "zod";
+import { OUTPUT_FORMATS } from "./output-format.js";
+
+export const ObjectTypesEnumZod = z.enum([
+  "TAG",
+  "SIMPLETAG",
+  "STRUCTURETAG",
+  "TAGTYPE",
+  "STRUCTURETAGTYPE",
+  "SIMPLETAGTYPE",
+  "ALARM",
+  "ALARMCLASS",
+  "LOGGINGTAG"
+]);
+
+export const LoggedTagValuesSortingModeEnumZod = z.enum([
+  "TIME_ASC",
+  "TIME_DESC"
+]);
+
+export const LoggedTagValuesBoundingModeEnumZod = z.enum([
+  "NO_BOUNDING_VALUES",
+  "LEFT_BOUNDING_VALUES",
+  "RIGHT_BOUNDING_VALUES",
+  "LEFTRIGHT_BOUNDING_VALUES"
+]);
+
+export const MainQualityEnumZod = z.enum([
+  "BAD",
+  "UNCERTAIN",
+  "GOOD_NON_CASCADE",
+  "GOOD_CASCADE"
+]);
+
+export const QualitySubStatusEnumZod = z.enum([
+  "NON_SPECIFIC",
+  "CONFIGURATION_ERROR", // Present in BAD group
+  "NOT_CONNECTED",
+  "SENSOR_FAILURE",
+  "DEVICE_FAILURE",
+  "NO_COMMUNICATION_WITH_LAST_USABLE_VALUE",
+  "NO_COMMUNICATION_NO_USABLE_VALUE",
+  "OUT_OF_SERVICE",
+  "LAST_USABLE_VALUE", // Present in UNCERTAIN group
+  "SUBSTITUTE_VALUE",
+  "INITIAL_VALUE",
+  "SENSOR_CONVERSION",
+  "RANGE_VIOLATION",
+  "SUB_NORMAL",
+  "CONFIG_ERROR", // Present in UNCERTAIN group (Zod handles duplicate enum values if they are identical strings)
+  "SIMULATED_VALUE",
+  "SENSOR_CALIBRATION",
+  "UPDATE_EVENT", // Present in GOOD (NON-CASCADE) group
+  "ADVISORY_ALARM",
+  "CRITICAL_ALARM",
+  "UNACK_UPDATE_EVENT",
+  "UNACK_ADVISORY_ALARM",
+  "UNACK_CRITICAL_ALARM",
+  "INIT_FAILSAFE", // Present in GOOD (NON-CASCADE, CASCADE) group
+  "MAINTENANCE_REQUIRED",
+  "INIT_ACKED", // Present in GOOD (CASCADE) group
+  "INITREQ",
+  "NOT_INVITED",
+  "DO_NOT_SELECT",
+  "LOCAL_OVERRIDE"
+]);
+
+export const QualityInputZod = z.object({
+  quality: MainQualityEnumZod,
+  subStatus: QualitySubStatusEnumZod.optional()
+});
+
+export const AlarmIdentifierInputZod = z.object({
+  name: z.string().min(1, "Alarm name cannot be empty."),
+  instanceID: z.number().int().optional().default(0),
+});
+
+export const AlarmStateEnumZod = z.enum([
+  "NORMAL",
+  "RAISED",
+  "RAISED_CLEARED",
+  "RAISED_ACKNOWLEDGED",
+  "RAISED_ACKNOWLEDGED_CLEARED",
+  "RAISED_CLEARED_ACKNOWLEDGED",
+  "REMOVED"
+]);
+
+export const OutputFormatEnumZod = z.enum(OUTPUT_FORMATS);
+
+// Structured alarm filter: a condition or an AND / OR / NOT group, checked against sdl.gql by lib/alarm-filter.js
+export const AlarmFilterZod = z.lazy(() => z.union([
+  z.object({ and: z.array(AlarmFilterZod) }),
+  z.object({ or: z.array(AlarmFilterZod) }),
+  z.object({ not: AlarmFilterZod }),
+  z.object({
+    field: z.string(),
+    operator: z.string().optional(),
+    value: z.any(),
+  }),
+]));
@@ -0,0 +1,117 @@
+/*
+ * The GraphQL schema of WinCC Unified, for checks made before a request is sent.
+ *
+ * By default this is the schema bundled with the repository (sdl.gql). loadIntrospectedSchema() replaces it with the
+ * schema of the connected server, e.g. when the server runs a different WinCC Unified version.
+*/
+
+import fs from 'fs';
+import { buildSchema, buildClientSchema, getIntrospectionQuery, getNamedType, isEnumType, isInputObjectType, isInterfaceType, isObjectType, isUnionType } from 'graphql';
+
+const SDL_FILE = new URL("../sdl.gql", import.meta.url);
+
+let schema = null;
+let schemaSource = "sdl.gql";
+
+// Parsed with the first use
+export function winccSchema() {
+  if (!schema) {
+    schema = buildSchema(fs.readFileSync(SDL_FILE, 'utf8'));
+  }
+  return schema;
+}
+
+// "sdl.gql" or "introspection"
+export function winccSchemaSource() {
+  return schemaSource;
+}
+
+// client: GraphQL client with the identity used for the introspection query
+export async function loadIntrospectedSchema(client) {
+  const data = await client.query(getIntrospectionQuery(), {}, { operation: "IntrospectionQuery" });
+  schema = buildClientSchema(data);
+  schemaSource = "introspection";
+  return schema;
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// Documentation of types and fields for describe-schema
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+// First sentence of a description, for overviews
+const summary = description => (description || "").trim().split(/(?<=\.)\s+(?=[A-Z])|\n/)[0];
+
+const describeArgument = arg => ({
+  name: arg.name,
+  type: String(arg.type),
+  ...(arg.defaultValue !== undefined ? { defaultValue: arg.defaultValue } : {}),
+  ...(arg.description ? { description: arg.description.trim() } : {}),
+});
+
+function describeField(field) {
+  return {
+    name: field.name,
+    type: String(field.type),
+    ...(field.description ? { description: field.description.trim() } : {}),
+    ...(field.args?.length > 0 ? { args: field.args.map(describeArgument) } : {}),
+    ...(field.deprecationReason ? { deprecationReason: field.deprecationReason } : {}),
+  };
+}
+
+function describeType(type) {
+  const result = { name: type.name, kind: type.constructor.name.replace(/^GraphQL|Type$/g, "").toUpperCase() };
+  if (type.description) {
+    result.description = type.description.trim();
+  }
+  if (isObjectType(type) || isInterfaceType(type)) {
+    result.fields = Object.values(type.getFields()).map(field => describeField(field));
+  }
+  if (isInputObjectType(type)) {
+    result.inputFields = Object.values(type.getFields()).map(describeArgument);
+  }
+  if (isEnumType(type)) {
+    result.values = type.getValues().map(value => ({ name: value.name, ...(value.description ? { description: value.description.trim() } : {}) }));
+  }
+  if (isUnionType(type)) {
+    result.possibleTypes = type.getTypes().map(member => member.name);
+  }
+  return result;
+}
+
+// name: a type ("LoggedAlarm"), a field ("LoggedAlarm.alarmParameterValues", "Query.loggedAlarms") or nothing for an overview
+export function describeSchema(currentSchema, name) {
+  const rootTypes = {
+    queries: currentSchema.getQueryType(),
+    mutations: currentSchema.getMutationType(),
+    subscriptions: currentSchema.getSubscriptionType(),
+  };
+  if (!name) {
+    const overview = {};
+    for (const [key, type] of Object.entries(rootTypes)) {
+      overview[key] = type ? Object.values(type.getFields()).map(field => ({ name: field.name, description: summary(field.description) })) : [];
+    }
+    overview.types = Object.keys(currentSchema.getTypeMap()).filter(typeName => !typeName.startsWith("__")).sort();
+    return overview;
+  }
+
+  const [typeName, fieldName] = name.trim().split(".");
+  const type = currentSchema.getType(typeName);
+  if (!type) {
+    const candidates = Object.keys(currentSchema.getTypeMap()).filter(candidate => candidate.toLowerCase().includes(typeName.toLowerCase()));
+    throw new Error(`Unknown type '${typeName}'.${candidates.length > 0 ? ` Similar types: ${candidates.join(", ")}.` : ""}`);
+  }
+  if (!fieldName) {
+    return describeType(type);
+  }
+  const fields = isObjectType(type) || isInterfaceType(type) || isInputObjectType(type) ? type.getFields() : {};
+  const field = fields[fieldName];
+  if (!field) {
+    throw new Error(`Type '${typeName}' has no field '${fieldName}'. Fields: ${Object.keys(fields).join(", ") || "none"}.`);
+  }
+  const returnType = getNamedType(field.type);
+  return {
+    parentType: typeName,
+    ...(isInputObjectType(type) ? describeArgument(field) : describeField(field)),
+    returnType: { name: returnType.name, ...(returnType.description ? { description: summary(returnType.description) } : {}) },
+  };
+}
@@ -0,0 +1,499 @@
+/*
+ * WinCC Unified identities per MCP session.
+ *
+ * Every MCP session has its own WinCC identity (token, user, language) once `login-user` was called.
+ * Sessions that never logged in fall back to the service account (GRAPHQL_USR / GRAPHQL_PWD).
+ * With several WinCC Unified connections (see connections.js) the login and the service account are per connection.
+ * Logged in identities are extended shortly before their expires time and logged out when they are no longer needed.
+*/
+
+import { EventEmitter } from 'events';
+import { WinccError, isErrorResult } from "./graphql-client.js";
+import { SubscriptionClient } from "./subscriptions.js";
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// Function to log in a user to WinCC Unified
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+export async function logon(wincc, username, password) {
+    const graphqlMutation = `
+      mutation LoginUser($username: String!, $password: String!) {
+        login(username: $username, password: $password) {
+          token
+          expires
+          user {
+            id
+            name
+            fullName
+            language
+          }
+          error {
+            code
+            description
+          }
+        }
+      }
+    `;
+
+    const variables = {
+      username,
+      password,
+    };
+
+    console.log(`[GraphQL Logon] Attempting logon via ${wincc.url} for user: ${username}`);
+
+    // No token and no re-login for the login itself
+    const data = await wincc.mutate(graphqlMutation, variables, { auth: null });
+
+    if (!data.login || !data.login.token) {
+      const loginError = data.login?.error;
+      const errorMessage = loginError ? `Login failed: ${loginError.description} (Code: ${loginError.code})` : "Login failed: Token not received in response.";
+      console.error('GraphQL login response missing token or data.login:', JSON.stringify(data, null, 2));
+      throw new WinccError(errorMessage, { code: loginError?.code, operation: "LoginUser" });
+    }
+
+    return data.login;
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// Functions to extend, query and end a WinCC Unified session
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+export async function extendSession(wincc, token) {
+    const graphqlMutation = `
+      mutation ExtendSession {
+        extendSession {
+          token
+          expires
+          user {
+            id
+            name
+            fullName
+            language
+          }
+          error {
+            code
+            description
+          }
+        }
+      }
+    `;
+
+    // Uses the token explicitly, a rejected token must not trigger a re-login here
+    const data = await wincc.mutate(graphqlMutation, {}, { auth: { getToken: () => token } });
+    const session = data.extendSession;
+
+    if (!session || isErrorResult(session.error)) {
+      const errorMessage = session?.error ? `Extending session failed: ${session.error.description} (Code: ${session.error.code})` : "Extending session failed: No session received in response.";
+      throw new WinccError(errorMessage, { code: session?.error?.code, operation: "ExtendSession" });
+    }
+
+    return session;
+}
+
+export async function querySessions(client, allSessions) {
+    const graphqlQuery = `
+      query GetSession($allSessions: Boolean) {
+        session(allSessions: $allSessions) {
+          expires
+          user {
+            id
+            name
+            fullName
+            language
+            autoLogoffSec
+            groups {
+              id
+              name
+            }
+          }
+          error {
+            code
+            description
+          }
+        }
+      }
+    `;
+
+    const data = await client.query(graphqlQuery, { allSessions });
+    return data.session || [];
+}
+
+export async function logout(wincc, token, allSessions = false) {
+    const graphqlMutation = `
+      mutation Logout($allSessions: Boolean) {
+        logout(allSessions: $allSessions)
+      }
+    `;
+
+    const data = await wincc.mutate(graphqlMutation, { allSessions }, { auth: { getToken: () => token } });
+    return data.logout;
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// A WinCC Unified identity: credentials plus the session token received from the login
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+export class WinccIdentity {
+  constructor(wincc, { username, password, label, renewBeforeMs = 60000, fallbackRenewMs = 60000, loginBackoffMs = 30000, loginBackoffMaxMs = 900000 }) {
+    this.wincc = wincc;
+    this.username = username;
+    this.password = password;
+    this.label = label; // Used in log messages, e.g. "Service Logon"
+    this.renewBeforeMs = renewBeforeMs;         // Renew this long before the token expires
+    this.fallbackRenewMs = fallbackRenewMs;     // Renewal interval if the server did not send a valid expires
+    this.loginBackoffMs = loginBackoffMs;       // First wait after a failed login, doubled on every further failure
+    this.loginBackoffMaxMs = loginBackoffMaxMs;
+    this.token = null;
+    this.expires = null;
+    this.user = null;
+    this.loggedInAt = null;
+    this.lastRenewal = null;
+    this.failedLogins = 0;
+    this.nextLoginAt = 0;
+    this.renewing = false;
+    this.renewTimer = null;
+    this.pendingLogin = null;
+  }
+
+  get loggedIn() {
+    return !!this.token;
+  }
+
+  // Concurrent callers (e.g. several requests with a rejected token) share one login
+  login() {
+    if (this.pendingLogin) {
+      return this.pendingLogin;
+    }
+    if (this.failedLogins > 0 && Date.now() < this.nextLoginAt) {
+      return Promise.reject(new WinccError(`Login for '${this.username}' suspended after ${this.failedLogins} failed attempt(s), next attempt at ${new Date(this.nextLoginAt).toISOString()}.`, { operation: "LoginUser" }));
+    }
+
+    this.pendingLogin = (async () => {
+      try {
+        const login = await logon(this.wincc, this.username, this.password);
+        this.#apply(login);
+        this.loggedInAt = new Date().toISOString();
+        this.failedLogins = 0;
+        this.nextLoginAt = 0;
+        this.#scheduleRenewal();
+        return login;
+      } catch (error) {
+        this.failedLogins++;
+        const backoff = Math.min(this.loginBackoffMs * 2 ** (this.failedLogins - 1), this.loginBackoffMaxMs);
+        this.nextLoginAt = Date.now() + backoff;
+        console.error(`[${this.label}] Login failed (${this.failedLogins} in a row), next attempt in ${Math.round(backoff / 1000)} s: ${error.message}`);
+        this.#scheduleRenewal(backoff);
+        throw error;
+      } finally {
+        this.pendingLogin = null;
+      }
+    })();
+    return this.pendingLogin;
+  }
+
+  // Extends the current session, and only logs in again if that is not possible
+  async renew() {
+    if (this.token) {
+      try {
+        const session = await extendSession(this.wincc, this.token);
+        this.#apply(session);
+        this.lastRenewal = new Date().toISOString();
+        console.log(`[${this.label}] Session of '${this.user?.name || this.username}' extended until ${this.expires}.`);
+        this.#scheduleRenewal();
+        return;
+      } catch (error) {
+        console.warn(`[${this.label}] Extending session failed, logging in again: ${error.message}`);
+        this.token = null;
+      }
+    }
+    try {
+      await this.login();
+      this.lastRenewal = new Date().toISOString();
+    } catch (error) {
+      // login() already logged the failure and scheduled the next attempt
+    }
+  }
+
+  // Keeps the session alive until stopRenewal() or logout() is called
+  startRenewal() {
+    this.renewing = true;
+    if (this.token) {
+      this.#scheduleRenewal();
+    } else {
+      this.renew();
+    }
+  }
+
+  stopRenewal() {
+    this.renewing = false;
+    clearTimeout(this.renewTimer);
+    this.renewTimer = null;
+  }
+
+  // After a redundancy switchover: the token is not valid on the new host, and failed logins on the old host must not delay
+  // the login there
+  hostChanged() {
+    this.token = null;
+    this.failedLogins = 0;
+    this.nextLoginAt = 0;
+    if (this.renewing) {
+      this.renew();
+    }
+  }
+
+  async logout(allSessions = false) {
+    this.stopRenewal();
+    const token = this.token;
+    this.token = null;
+    this.expires = null;
+    if (!token) {
+      return false;
+    }
+    const result = await logout(this.wincc, token, allSessions);
+    console.log(`[${this.label}] '${this.user?.name || this.username}' logged out${allSessions ? " of all sessions" : ""}.`);
+    return result;
+  }
+
+  #apply(session) {
+    this.token = session.token || this.token;
+    this.expires = session.expires || null;
+    this.user = session.user || this.user;
+  }
+
+  #scheduleRenewal(delay) {
+    if (!this.renewing) {
+      return;
+    }
+    if (delay === undefined) {
+      const expiresAt = Date.parse(this.expires);
+      delay = Number.isNaN(expiresAt) ? this.fallbackRenewMs : expiresAt - Date.now() - this.renewBeforeMs;
+    }
+    clearTimeout(this.renewTimer);
+    this.renewTimer = setTimeout(() => this.renew(), Math.max(delay, 5000));
+    this.renewTimer.unref();
+  }
+
+  // Used by the GraphQL client: token for the request, and a fresh login if the token was rejected
+  get auth() {
+    return {
+      getToken: () => this.token,
+      relogin: () => this.login(),
+    };
+  }
+
+  describe() {
+    return {
+      username: this.user?.name || this.username,
+      fullName: this.user?.fullName || null,
+      language: this.user?.language || null,
+      loggedIn: this.loggedIn,
+      expires: this.expires,
+      loggedInAt: this.loggedInAt,
+      lastRenewal: this.lastRenewal,
+      ...(this.failedLogins > 0 ? { failedLogins: this.failedLogins, nextLoginAt: new Date(this.nextLoginAt).toISOString() } : {}),
+    };
+  }
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// State of one MCP session
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+// Events: 'identity' when the session logs in or out, 'close' when the MCP session ends.
+// The session has its own login, client and subscriptions per WinCC Unified connection; the properties below refer to the
+// connection of the running tool call (see lib/connections.js).
+export class McpSession extends EventEmitter {
+  constructor(manager) {
+    super();
+    this.manager = manager;
+    this.id = null;        // Set once the transport has generated the MCP session ID
+    this.createdAt = new Date().toISOString();
+    this.states = new Map(); // Connection name -> { connection, identity, client, subscriptionClient }, created with the first use
+  }
+
+  get connection() {
+    return this.manager.connections.current;
+  }
+
+  #state(connection = this.connection) {
+    let state = this.states.get(connection.name);
+    if (!state) {
+      state = { connection, identity: null, subscriptionClient: null };
+      // Client view used by all tools of this session
+      state.client = connection.wincc.withAuth({
+        getToken: () => this.#effectiveIdentity(state)?.token || null,
+        relogin: async () => {
+          const identity = this.#effectiveIdentity(state);
+          if (identity) {
+            await identity.login();
+          }
+        },
+      });
+      // After a redundancy switchover the own login is renewed on the new host, the subscriptions reconnect there
+      state.onSwitchover = () => {
+        state.identity?.hostChanged();
+        state.subscriptionClient?.restart();
+      };
+      connection.redundancy?.on('switchover', state.onSwitchover);
+      this.states.set(connection.name, state);
+    }
+    return state;
+  }
+
+  // The identity used for GraphQL calls: the session's own login, otherwise the service account of the connection
+  #effectiveIdentity(state) {
+    return state.identity || state.connection.serviceIdentity;
+  }
+
+  // Set by login-user
+  get identity() {
+    return this.#state().identity;
+  }
+
+  get client() {
+    return this.#state().client;
+  }
+
+  get effectiveIdentity() {
+    return this.#effectiveIdentity(this.#state());
+  }
+
+  get language() {
+    return this.effectiveIdentity?.user?.language || "en-US";
+  }
+
+  // Name of the WinCC user that requests of this session are attributed to
+  get userName() {
+    const identity = this.effectiveIdentity;
+    return identity ? identity.user?.name || identity.username : null;
+  }
+
+  // WebSocket connection for GraphQL subscriptions of this session, opened with the first subscription
+  get subscriptions() {
+    const state = this.#state();
+    if (!state.subscriptionClient) {
+      state.subscriptionClient = new SubscriptionClient({
+        url: () => state.connection.subscriptionUrl,
+        getToken: () => this.#effectiveIdentity(state)?.token || null,
+        rejectUnauthorized: state.connection.rejectUnauthorized,
+        label: `Subscriptions ${this.id}${this.manager.connections.size > 1 ? ` ${state.connection.name}` : ""}`,
+      });
+    }
+    return state.subscriptionClient;
+  }
+
+  async login(username, password) {
+    const state = this.#state();
+    const identity = state.connection.createIdentity(username, password, `Session ${this.id}`);
+    await identity.login();
+    identity.startRenewal();
+
+    const previous = state.identity;
+    state.identity = identity;
+    if (previous) {
+      previous.logout().catch(error => console.warn(`[Sessions] Logout of previous user of MCP session ${this.id} failed: ${error.message}`));
+    }
+    this.#identityChanged(state);
+    return identity;
+  }
+
+  // Ends the session's own login, afterwards the session falls back to the service account
+  async logout(allSessions = false, state = this.#state()) {
+    const identity = state.identity;
+    if (!identity) {
+      return false;
+    }
+    state.identity = null;
+    this.#identityChanged(state);
+    return identity.logout(allSessions);
+  }
+
+  // Subscriptions are reconnected with the token of the new identity
+  #identityChanged(state) {
+    state.subscriptionClient?.restart();
+    this.emit('identity', this.#effectiveIdentity(state));
+  }
+
+  // Own logins of all connections
+  get identities() {
+    return [...this.states.values()].map(state => state.identity).filter(Boolean);
+  }
+
+  async close() {
+    this.emit('close');
+    await Promise.all([...this.states.values()].map(async state => {
+      state.connection.redundancy?.off('switchover', state.onSwitchover);
+      await state.subscriptionClient?.dispose();
+      await this.logout(false, state);
+    }));
+  }
+
+  describe() {
+    const identity = this.effectiveIdentity;
+    return {
+      mcpSessionId: this.id,
+      ...(this.manager.connections.size > 1 ? { connection: this.connection.name } : {}),
+      source: this.identity ? "session" : identity ? "service-account" : "anonymous",
+      ...(identity ? identity.describe() : {}),
+    };
+  }
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// Registry of all MCP sessions
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+export class SessionManager {
+  // connections: ConnectionRegistry with the WinCC Unified servers and their service accounts
+  constructor(connections) {
+    this.connections = connections;
+    this.sessions = new Map();
+  }
+
+  // Service account of the default connection, used by the background tasks
+  get serviceIdentity() {
+    return this.connections.default.serviceIdentity;
+  }
+
+  create() {
+    return new McpSession(this);
+  }
+
+  register(session) {
+    this.sessions.set(session.id, session);
+    console.log(`[Sessions] MCP session ${session.id} opened (${this.sessions.size} active).`);
+  }
+
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  remove(id) {
+    const session = this.sessions.get(id);
+    if (session && this.sessions.delete(id)) {
+      console.log(`[Sessions] MCP session ${id} closed (${this.sessions.size} active).`);
+      session.close().catch(error => console.warn(`[Sessions] Closing MCP session ${id} failed: ${error.message}`));
+    }
+  }
+
+  // Logs in the service accounts and keeps their sessions alive based on the expires value of the login
+  startServiceAccount() {
+    this.connections.startServiceAccounts();
+  }
+
+  // Logs out all sessions, waiting at most timeoutMs
+  async shutdown(timeoutMs = 5000) {
+    const sessions = [...this.sessions.values()];
+    const serviceIdentities = this.connections.list().map(connection => connection.serviceIdentity).filter(Boolean);
+    const identities = [...sessions.flatMap(session => session.identities), ...serviceIdentities];
+    this.sessions.clear();
+    const logouts = Promise.allSettled([
+      ...sessions.map(session => session.close()),
+      ...serviceIdentities.map(identity => identity.logout()),
+    ]);
+    const timeout = new Promise(resolve => setTimeout(resolve, timeoutMs).unref());
+    await Promise.race([logouts, timeout]);
+    console.log(`[Sessions] ${identities.length} WinCC session(s) logged out.`);
+  }
+}
@@ -0,0 +1,280 @@
+/*
+ * Shift reports of generate-shift-report: the configured report definitions, and the rendering as Markdown or HTML.
+ *
+ * The definitions are loaded once at startup from a JSON file (SHIFT_REPORTS_FILE). Example file:
+ *
+ *   {
+ *     "reports": [
+ *       {
+ *         "name": "line1",
+ *         "title": "Line 1 shift report",
+ *         "period": "8h",
+ *         "keyTags": ["System1::Line1.Speed:LoggingTag_1", "System1::Line1.Temperature:LoggingTag_1"],
+ *         "areas": ["Line1*"],
+ *         "filter": { "field": "priority", "operator": ">=", "value": 5 },
+ *         "notablePriority": 10
+ *       }
+ *     ]
+ *   }
+ *
+ * keyTags are logging tag names like in get-logged-tag-values, areas use the wildcards * and ?, filter and filterString
+ * restrict the alarms like in get-logged-alarms. Alarms with at least notablePriority are listed one by one.
+*/
+
+import fs from 'fs';
+import { validateAlarmFilter } from "./alarm-filter.js";
+import { parseDuration } from "./durations.js";
+
+export const SHIFT_REPORT_FORMATS = ["markdown", "html"];
+
+const DEFAULTS = { period: "8h", keyTags: [], areas: [], systemNames: [], filterString: "", notablePriority: 10, maxNotableAlarms: 50 };
+
+export class ShiftReportDefinitions {
+  constructor(reports = []) {
+    this.reports = new Map(reports.map(report => [report.name, { ...DEFAULTS, ...report }]));
+  }
+
+  static load({ file } = {}) {
+    if (!file) {
+      return new ShiftReportDefinitions();
+    }
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot load shift reports from ${file}: ${error.message}`);
+    }
+    const reports = config.reports || [];
+    const names = new Set();
+    for (const report of reports) {
+      if (!report.name) {
+        throw new Error(`Invalid shift reports file ${file}: every report needs a name.`);
+      }
+      if (names.has(report.name)) {
+        throw new Error(`Invalid shift reports file ${file}: the report name '${report.name}' is used twice.`);
+      }
+      names.add(report.name);
+      try {
+        parseDuration(report.period || DEFAULTS.period);
+      } catch (error) {
+        throw new Error(`Invalid shift report '${report.name}' in ${file}: ${error.message}`);
+      }
+      const { errors } = validateAlarmFilter({ filter: report.filter, filterString: report.filterString }, "LoggedAlarm");
+      if (errors.length > 0) {
+        throw new Error(`Invalid shift report '${report.name}' in ${file}: ${errors.map(error => `${error.path}: ${error.message}`).join(" ")}`);
+      }
+    }
+    return new ShiftReportDefinitions(reports);
+  }
+
+  get names() {
+    return [...this.reports.keys()];
+  }
+
+  // The definition with this name, or the defaults without a name; throws on an unknown name
+  get(name) {
+    if (!name) {
+      return { ...DEFAULTS };
+    }
+    const report = this.reports.get(name);
+    if (!report) {
+      throw new Error(`Unknown shift report '${name}'.${this.reports.size > 0 ? ` Reports: ${this.names.join(", ")}.` : " No shift reports are configured."}`);
+    }
+    return report;
+  }
+}
+
+// Structured alarm filter of a report: its filter, and one of its areas
+export function shiftReportAlarmFilter({ filter, areas = [] }) {
+  const parts = [
+    ...(filter ? [filter] : []),
+    ...(areas.length > 0 ? [{ or: areas.map(area => ({ field: "area", operator: "LIKE", value: area })) }] : []),
+  ];
+  return parts.length <= 1 ? parts[0] : { and: parts };
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// Rendering
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+const cellText = value => value === null || value === undefined ? "" : String(value);
+const number = value => typeof value === "number" ? String(Math.round(value * 1000) / 1000) : cellText(value);
+const time = timestamp => timestamp ? timestamp.replace("T", " ").replace(/\.\d+Z$|Z$/, " UTC") : "";
+
+// The report as a list of blocks: { heading }, { text }, { list: [...] } and { table: { columns, rows } }
+function reportBlocks(report) {
+  const blocks = [];
+  const section = (heading, error, content) => {
+    blocks.push({ heading });
+    if (error) {
+      blocks.push({ text: `Not available: ${error}` });
+    } else {
+      content();
+    }
+  };
+
+  blocks.push({
+    list: [
+      `Shift: ${time(report.startTime)} to ${time(report.endTime)}`,
+      ...(report.scope.areas.length > 0 ? [`Areas: ${report.scope.areas.join(", ")}`] : []),
+      ...(report.scope.filterString ? [`Alarm filter: ${report.scope.filterString}`] : []),
+      ...(report.connection ? [`Connection: ${report.connection}`] : []),
+      `Generated: ${time(report.generatedAt)} by ${report.user || "unknown user"}`,
+    ],
+  });
+
+  const { alarms } = report;
+  section("Alarms of the shift", alarms.error, () => {
+    blocks.push({
+      list: [
+        `Activations: ${alarms.alarmRate.activations} (${alarms.logEntries} log entries)`,
+        `Average per hour: ${number(alarms.alarmRate.averagePerHour)}, peak ${number(alarms.alarmRate.peakPer10Minutes.count)} in the 10 minutes from ${time(alarms.alarmRate.peakPer10Minutes.start)}`,
+        `Alarm floods: ${alarms.alarmRate.floodPeriods} periods of 10 minutes (${number(alarms.alarmRate.percentOfTimeInFlood)} % of the shift), rating: ${alarms.alarmRate.rating}`,
+      ],
+    });
+    if (alarms.alarmRate.activations > 0) {
+      blocks.push({ table: { columns: ["Priority range", "Activations", "%"], rows: alarms.byPriorityRange.map(entry => [entry.value, entry.count, number(entry.percent)]) } });
+      blocks.push({ table: { columns: ["Area", "Activations", "%"], rows: alarms.byArea.map(entry => [entry.value, entry.count, number(entry.percent)]) } });
+      blocks.push({ text: "Most frequent alarms:" });
+      blocks.push({ table: { columns: ["Alarm", "Event text", "Priority", "Activations", "%"], rows: alarms.mostFrequent.map(alarm => [alarm.name, alarm.eventText, alarm.priority, alarm.activations, number(alarm.percent)]) } });
+    }
+  });
+
+  section(`Notable alarms (priority ${report.scope.notablePriority} and higher)`, alarms.error, () => {
+    if (alarms.notable.length === 0) {
+      blocks.push({ text: "None." });
+      return;
+    }
+    blocks.push({
+      table: {
+        columns: ["Raised", "Alarm", "Event text", "Priority", "Area", "Acknowledged", "Cleared"],
+        rows: alarms.notable.map(alarm => [time(alarm.raiseTime), alarm.name, alarm.eventText, alarm.priority, alarm.area, time(alarm.acknowledgmentTime), time(alarm.clearTime)]),
+      },
+    });
+    if (alarms.notableTotal > alarms.notable.length) {
+      blocks.push({ text: `${alarms.notableTotal - alarms.notable.length} more notable alarms are not listed.` });
+    }
+  });
+
+  const { activeAlarms } = report;
+  section("Open alarms", activeAlarms.error, () => {
+    if (activeAlarms.alarms.length === 0) {
+      blocks.push({ text: "No active alarms." });
+      return;
+    }
+    blocks.push({ text: `${activeAlarms.alarms.length} active alarms, ${activeAlarms.unacknowledged} not acknowledged.` });
+    blocks.push({
+      table: {
+        columns: ["Raised", "Alarm", "Event text", "Priority", "Area", "State"],
+        rows: activeAlarms.alarms.map(alarm => [time(alarm.raiseTime), alarm.name, alarm.eventText, alarm.priority, alarm.area, alarm.state]),
+      },
+    });
+  });
+
+  if (report.keyTags) {
+    section("Key process values", report.keyTags.error, () => {
+      blocks.push({
+        table: {
+          columns: ["Logging tag", "Min", "Max", "Average", "Samples", "Remark"],
+          rows: report.keyTags.tags.map(tag => [tag.loggingTagName, number(tag.min), number(tag.max), number(tag.mean), tag.samples ?? "", tag.remark || ""]),
+        },
+      });
+    });
+  }
+
+  const { writes } = report;
+  section("Tag writes", writes.error, () => {
+    if (writes.entries.length === 0) {
+      blocks.push({ text: "No tags were written through this server." });
+      return;
+    }
+    blocks.push({
+      table: {
+        columns: ["Time", "User", "Tags", "Outcome"],
+        rows: writes.entries.map(entry => [time(entry.timestamp), entry.user, entry.tags, entry.outcome]),
+      },
+    });
+  });
+
+  return blocks;
+}
+
+function markdownCell(value) {
+  return cellText(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+function toMarkdown(title, blocks) {
+  const lines = [`# ${title}`, ""];
+  for (const block of blocks) {
+    if (block.heading) {
+      lines.push(`## ${block.heading}`, "");
+    } else if (block.text) {
+      lines.push(block.text, "");
+    } else if (block.list) {
+      lines.push(...block.list.map(item => `- ${item}`), "");
+    } else if (block.table) {
+      const { columns, rows } = block.table;
+      lines.push(
+        `| ${columns.map(markdownCell).join(" | ")} |`,
+        `| ${columns.map(() => "---").join(" | ")} |`,
+        ...rows.map(row => `| ${row.map(markdownCell).join(" | ")} |`),
+        "",
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+const escapeHtml = value => cellText(value).replace(/[&<>"']/g, char => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+
+// One file without external stylesheets or scripts, so that it can be mailed or archived as it is
+function toHtml(title, blocks) {
+  const body = blocks.map(block => {
+    if (block.heading) {
+      return `<h2>${escapeHtml(block.heading)}</h2>`;
+    }
+    if (block.text) {
+      return `<p>${escapeHtml(block.text)}</p>`;
+    }
+    if (block.list) {
+      return `<ul>${block.list.map(item => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`;
+    }
+    const { columns, rows } = block.table;
+    return `<table><thead><tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join("")}</tr></thead>` +
+      `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`).join("\n")}</tbody></table>`;
+  });
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 14px; margin: 2em; color: #222; }
+  h1 { font-size: 1.6em; }
+  h2 { font-size: 1.25em; margin-top: 1.6em; border-bottom: 1px solid #ccc; }
+  table { border-collapse: collapse; margin: 0.8em 0; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f0f0f0; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body.join("\n")}
+</body>
+</html>
+`;
+}
+
+// report: the data collected by generate-shift-report
+export function renderShiftReport(report, format) {
+  const blocks = reportBlocks(report);
+  switch (format) {
+    case "markdown":
+      return toMarkdown(report.title, blocks);
+    case "html":
+      return toHtml(report.title, blocks);
+    default:
+      throw new Error(`Unknown report format '${format}', supported: ${SHIFT_REPORT_FORMATS.join(", ")}`);
+  }
+}
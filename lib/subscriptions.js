@@ -0,0 +1,116 @@
+/*
+ * GraphQL subscriptions to WinCC Unified over WebSocket (graphql-ws protocol).
+ *
+ * The connection is opened lazily with the first subscription, reconnects on its own and sends the
+ * current session token with every (re)connect.
+*/
+
+import { createClient } from "graphql-ws";
+import WebSocket from "ws";
+
+// http://host/graphql -> ws://host/graphql, https -> wss
+export function toWebSocketUrl(url) {
+  return url.replace(/^http(s?):\/\//i, (match, secure) => `ws${secure}://`);
+}
+
+// Reconnects back off exponentially up to this wait, so that a host that is back after a long outage is found soon
+const MAX_RETRY_WAIT_MS = 30000;
+
+export class SubscriptionClient {
+  // url: the WebSocket URL, or a function returning it for every (re)connect, e.g. the active host of a redundant pair
+  constructor({ url, getToken, label = "Subscriptions", onConnected, onClosed, rejectUnauthorized = false }) {
+    this.url = url;
+    this.rejectUnauthorized = rejectUnauthorized;
+    this.getToken = getToken;
+    this.label = label;
+    this.onConnected = onConnected; // Called after every (re)connect, e.g. to resynchronize cached state
+    this.onClosed = onClosed;       // Called with the close event whenever the socket closes, also if it never connected
+    this.client = null;
+    this.connected = false;
+  }
+
+  #createClient() {
+    const getToken = this.getToken;
+    const rejectUnauthorized = this.rejectUnauthorized;
+
+    // Sends the token also as HTTP header on the upgrade request, and accepts self-signed certificates like the HTTP client does unless the connection rejects them
+    class AuthorizedWebSocket extends WebSocket {
+      constructor(address, protocols) {
+        const token = getToken();
+        const secure = String(address).toLowerCase().startsWith('wss://');
+        super(address, protocols, {
+          headers: token ? { 'Authorization': `Bearer ${token}` } : {},
+          ...(secure ? { rejectUnauthorized } : {}),
+        });
+      }
+    }
+
+    return createClient({
+      url: this.url,
+      webSocketImpl: AuthorizedWebSocket,
+      lazy: true,
+      keepAlive: 10000,
+      retryAttempts: Infinity,
+      retryWait: (retries) => new Promise(resolve => setTimeout(resolve, Math.min(1000 * 2 ** retries, MAX_RETRY_WAIT_MS) + 300 + Math.random() * 2700)),
+      shouldRetry: () => true,
+      connectionParams: () => {
+        const token = getToken();
+        return token ? { Authorization: `Bearer ${token}` } : {};
+      },
+      on: {
+        connected: () => {
+          this.connected = true;
+          console.log(`[${this.label}] Connected to ${this.currentUrl}`);
+          this.onConnected?.();
+        },
+        closed: (event) => {
+          if (this.connected) {
+            console.warn(`[${this.label}] Connection closed (${event?.code ?? "?"} ${event?.reason || ""}), reconnecting when needed.`);
+          }
+          this.connected = false;
+          this.onClosed?.(event);
+        },
+        error: (error) => {
+          console.error(`[${this.label}] WebSocket error:`, error?.message || error);
+        },
+      },
+    });
+  }
+
+  get currentUrl() {
+    return typeof this.url === "function" ? this.url() : this.url;
+  }
+
+  // Returns a function that ends the subscription
+  subscribe(query, variables, { next, error, complete }) {
+    if (!this.client) {
+      this.client = this.#createClient();
+    }
+    return this.client.subscribe({ query, variables }, {
+      next: (result) => {
+        if (result.errors && result.errors.length > 0) {
+          error?.(new Error(result.errors.map(e => e.message).join(", ")));
+          return;
+        }
+        next(result.data);
+      },
+      error: (err) => error?.(err instanceof Error ? err : new Error(Array.isArray(err) ? err.map(e => e.message).join(", ") : String(err?.reason || err))),
+      complete: () => complete?.(),
+    });
+  }
+
+  // Reconnects, e.g. after the token changed; active subscriptions are subscribed again
+  restart() {
+    if (this.client) {
+      this.client.terminate();
+    }
+  }
+
+  async dispose() {
+    if (this.client) {
+      const client = this.client;
+      this.client = null;
+      await client.dispose();
+    }
+  }
+}
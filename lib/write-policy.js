@@ -0,0 +1,147 @@
+/*
+ * Guardrails for write-tag-values: which tags may be written, with which values, and how many at once.
+ *
+ * The policy is loaded once at startup from a JSON file (WRITE_POLICY_FILE), WRITE_ALLOW, WRITE_DENY and
+ * WRITE_MAX_TAGS override or extend it. Example file:
+ *
+ *   {
+ *     "allow": ["System1::Tank*.Setpoint", "System1::Line1.**"],
+ *     "deny": ["System1::*.Safety*"],
+ *     "maxTagsPerCall": 10,
+ *     "rules": [
+ *       { "pattern": "System1::Tank*.Setpoint", "min": 0, "max": 100, "dataTypes": ["Float", "Double"] },
+ *       { "pattern": "System1::Line1.**", "dataTypes": ["Bool"] }
+ *     ],
+ *     "verify": { "delayMs": 500, "tolerance": 0.001 }
+ *   }
+ *
+ * Patterns use the wildcard syntax of browse-objects ("*", "?", "**").
+*/
+
+import fs from 'fs';
+import { matchesWildcard } from "./patterns.js";
+
+const splitList = value => (value || "").split(",").map(item => item.trim()).filter(Boolean);
+
+export class WritePolicy {
+  constructor({ allow = [], deny = [], maxTagsPerCall = 100, rules = [], verify = {} } = {}) {
+    this.allow = allow;     // Empty = every tag that is not denied may be written
+    this.deny = deny;
+    this.maxTagsPerCall = maxTagsPerCall;
+    this.rules = rules;     // { pattern, min, max, dataTypes }
+    this.verify = { delayMs: 500, tolerance: 1e-6, ...verify };
+  }
+
+  static load({ file, allow, deny, maxTagsPerCall } = {}) {
+    let config = {};
+    if (file) {
+      try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot load write policy from ${file}: ${error.message}`);
+      }
+    }
+    const policy = new WritePolicy({
+      ...config,
+      allow: [...(config.allow || []), ...splitList(allow)],
+      deny: [...(config.deny || []), ...splitList(deny)],
+      maxTagsPerCall: maxTagsPerCall ? parseInt(maxTagsPerCall, 10) : (config.maxTagsPerCall ?? 100),
+    });
+    for (const rule of policy.rules) {
+      if (!rule.pattern) {
+        throw new Error(`Invalid write policy${file ? ` in ${file}` : ""}: every rule needs a pattern.`);
+      }
+    }
+    return policy;
+  }
+
+  rulesFor(name) {
+    return this.rules.filter(rule => matchesWildcard(name, rule.pattern, { hierarchical: true }));
+  }
+
+  // True if the data types of the tags must be browsed before the input can be validated
+  needsDataTypes(names) {
+    return names.some(name => this.rulesFor(name).some(rule => rule.dataTypes && rule.dataTypes.length > 0));
+  }
+
+  // Returns the list of violations ({ name, reason }), empty if the whole input may be written.
+  // dataTypes: Map of tag name -> WinCC data type, only needed for rules with dataTypes.
+  validate(input, dataTypes = new Map()) {
+    const violations = [];
+    if (this.maxTagsPerCall > 0 && input.length > this.maxTagsPerCall) {
+      violations.push({ name: null, reason: `${input.length} tags in one call, the policy allows at most ${this.maxTagsPerCall}.` });
+    }
+
+    for (const { name, value } of input) {
+      const denied = this.deny.find(pattern => matchesWildcard(name, pattern, { hierarchical: true }));
+      if (denied) {
+        violations.push({ name, reason: `Tag is denied by pattern '${denied}'.` });
+        continue;
+      }
+      if (this.allow.length > 0 && !this.allow.some(pattern => matchesWildcard(name, pattern, { hierarchical: true }))) {
+        violations.push({ name, reason: "Tag does not match any allowed pattern." });
+        continue;
+      }
+
+      for (const rule of this.rulesFor(name)) {
+        if (rule.dataTypes && rule.dataTypes.length > 0) {
+          const dataType = dataTypes.get(name);
+          if (!dataType) {
+            violations.push({ name, reason: `Data type of the tag is unknown, rule '${rule.pattern}' allows only ${rule.dataTypes.join(", ")}.` });
+          } else if (!rule.dataTypes.some(type => type.toLowerCase() === dataType.toLowerCase())) {
+            violations.push({ name, reason: `Data type ${dataType} is not allowed by rule '${rule.pattern}' (allowed: ${rule.dataTypes.join(", ")}).` });
+          }
+        }
+        if (rule.min !== undefined || rule.max !== undefined) {
+          const number = toNumber(value);
+          if (number === null) {
+            violations.push({ name, reason: `Value ${JSON.stringify(value)} is not numeric, rule '${rule.pattern}' defines limits.` });
+          } else if (rule.min !== undefined && number < rule.min) {
+            violations.push({ name, reason: `Value ${number} is below the minimum ${rule.min} of rule '${rule.pattern}'.` });
+          } else if (rule.max !== undefined && number > rule.max) {
+            violations.push({ name, reason: `Value ${number} is above the maximum ${rule.max} of rule '${rule.pattern}'.` });
+          }
+        }
+      }
+    }
+    return violations;
+  }
+
+  // True if the read back value is what was written
+  matches(written, readBack) {
+    const a = toNumber(written);
+    const b = toNumber(readBack);
+    if (a !== null && b !== null) {
+      return Math.abs(a - b) <= this.verify.tolerance * Math.max(1, Math.abs(a));
+    }
+    return String(written) === String(readBack);
+  }
+
+  describe() {
+    return {
+      allow: this.allow.length > 0 ? this.allow : "all tags that are not denied",
+      deny: this.deny,
+      maxTagsPerCall: this.maxTagsPerCall > 0 ? this.maxTagsPerCall : "unlimited",
+      rules: this.rules,
+      verify: this.verify,
+    };
+  }
+}
+
+// Numbers, numeric strings and booleans as number, everything else null
+function toNumber(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === "boolean") {
+    return value ? 1 : 0;
+  }
+  if (typeof value === "string" && value.trim() !== "") {
+    if (/^(true|false)$/i.test(value.trim())) {
+      return value.trim().toLowerCase() === "true" ? 1 : 0;
+    }
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+  }
+  return null;
+}
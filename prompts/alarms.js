@@ -0,0 +1,79 @@
+/*
+ * Prompts for the investigation of alarms and the review of the alarm configuration.
+*/
+
+import { z } from "zod";
+import { promptTimeRange, toolArguments, connectionsNote, userPrompt } from "../lib/prompts.js";
+
+export function registerAlarmPrompts(server, { connections }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Prompt for the root-cause investigation of an alarm
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.prompt(
+    "investigate-alarm",
+    "Investigates the root cause of an alarm: its source tag and values before the alarm, the alarms raised around it, and how often it occurred before.",
+    {
+      alarmName: z.string().describe('Full name of the alarm, e.g. "System1::Tank1.Level:HighAlarm"'),
+      raiseTime: z.string().optional().describe("Raise time of the occurrence to investigate as ISO 8601 timestamp, default: the latest one"),
+      history: z.string().optional().describe('How far back to look for earlier occurrences, e.g. "7d" (default)'),
+    },
+    async ({ alarmName, raiseTime, history }) => {
+      const range = promptTimeRange({ period: history, endTime: raiseTime }, "7d");
+      const filter = { field: "name", operator: "=", value: alarmName };
+
+      return userPrompt(`Root-cause investigation of ${alarmName}`, `
+Investigate the root cause of the alarm ${alarmName}${raiseTime ? ` raised at ${raiseTime}` : ""}.
+${connectionsNote(connections)}
+1. Call explain-alarm with ${toolArguments({ name: alarmName, raiseTime })} for the alarm configuration, its source tag, the current value and the values before and after the alarm.
+2. Call reconstruct-alarm-sequence with ${toolArguments({ alarmName, time: raiseTime, before: "15m", after: "5m" })} for all alarms raised around it. The first alarms of the sequence and alarm floods are the best candidates for the cause.
+3. Call get-logged-alarms with ${toolArguments({ ...range, filter, preset: "operator" })} to see how often the alarm occurred before and whether it chatters or stands.
+4. For the source tag and for the tags of the first alarms of the sequence, call get-logged-tag-values for the 30 minutes before the alarm to see which value started to change first. If a tag name is not known, find it with search-objects or browse-objects.
+
+Then explain in plain language:
+- What the alarm means and what triggered it (value, limit, quality).
+- The most likely root cause, with the evidence from the alarm sequence and the tag values, and other possible causes.
+- Whether the alarm is a recurring problem.
+- What the operator should check or do next.
+Distinguish clearly between what the data shows and what you assume. Do not write tags or acknowledge alarms.
+`);
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Prompt for an alarm rationalization review
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.prompt(
+    "review-alarm-rationalization",
+    "Reviews the alarm system against ISA-18.2 for a period: alarm rate, bad actors, chattering, fleeting and standing alarms, and suggestions for rationalization.",
+    {
+      period: z.string().optional().describe('Reviewed period up to now, e.g. "7d" (default) or "30d"'),
+      area: z.string().optional().describe("Only alarms of this area, wildcards * and ? allowed"),
+      operators: z.string().optional().describe("Number of operators handling these alarms, default 1"),
+    },
+    async ({ period, area, operators }) => {
+      const range = promptTimeRange({ period }, "7d");
+      const operatorCount = operators ? parseInt(operators, 10) : undefined;
+      if (operators && !(operatorCount >= 1)) {
+        throw new Error(`Invalid number of operators '${operators}'.`);
+      }
+
+      return userPrompt("Alarm rationalization review", `
+Review the alarm system${area ? ` of area ${area}` : ""} for the period from ${range.startTime} to ${range.endTime} against ISA-18.2.
+${connectionsNote(connections)}
+1. Call analyze-alarm-performance with ${toolArguments({ ...range, filterString: area ? `Area LIKE '${area.replace(/'/g, "''")}'` : undefined, operators: operatorCount, topN: 20 })}.
+2. For the top bad actors, call get-logged-alarms with a filter on their name, the same startTime and endTime and preset "diagnostic" to see their values, limits, dead bands and change reasons.
+3. Where it helps to judge a limit, read the history of the source tag with get-logged-tag-values and aggregates min, max and mean.
+
+Then write the review:
+- Key figures: average and peak alarm rate per operator, time in flood, priority distribution, compared with the ISA-18.2 targets.
+- Bad actors: the most frequent alarms with their share of the total load.
+- Nuisance alarms: chattering, fleeting and standing alarms.
+- Recommendations per alarm: e.g. add or increase a dead band or on/off delay, change the limit or priority, suppress by state, or remove the alarm. Give the reason for each recommendation.
+These are recommendations for the alarm engineers; do not change, disable or shelve alarms.
+`);
+    }
+  );
+}
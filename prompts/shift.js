@@ -0,0 +1,53 @@
+/*
+ * Prompt for the handover between two shifts.
+*/
+
+import { z } from "zod";
+import { splitArgument, promptTimeRange, toolArguments, connectionsNote, userPrompt } from "../lib/prompts.js";
+
+export function registerShiftPrompts(server, { connections }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Prompt for a shift handover summary
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.prompt(
+    "shift-handover",
+    "Summarizes a shift for the handover: alarms that are still active, what happened during the shift, alarm load, key process values and the changes made through the assistant.",
+    {
+      period: z.string().optional().describe('Length of the shift, e.g. "8h" (default) or "12h"'),
+      endTime: z.string().optional().describe("End of the shift as ISO 8601 timestamp, default: now"),
+      area: z.string().optional().describe("Only alarms of this area, wildcards * and ? allowed"),
+      keyTags: z.string().optional().describe("Comma-separated names of the tags to report min, max and mean of"),
+    },
+    async ({ period, endTime, area, keyTags }) => {
+      const range = promptTimeRange({ period, endTime }, "8h");
+      const filter = area ? { field: "area", operator: "LIKE", value: area } : undefined;
+      const tags = splitArgument(keyTags);
+
+      const steps = [
+        `Call get-active-alarms with ${toolArguments({ filter, preset: "operator" })} for the alarms that are still active. Group them by priority and point out the ones that are not acknowledged yet.`,
+        `Call get-logged-alarms with ${toolArguments({ ...range, filter, preset: "operator" })} for the alarms of the shift. If the result ends with a cursor, fetch the next pages as well.`,
+        `Call analyze-alarm-performance with ${toolArguments({ ...range, filterString: area ? `Area LIKE '${area.replace(/'/g, "''")}'` : undefined })} for the alarm rate, floods, chattering and standing alarms.`,
+        tags.length > 0
+          ? `Call get-logged-tag-values with ${toolArguments({ names: tags, ...range, aggregationInterval: period || "8h", aggregates: ["min", "max", "mean"], skipBadQuality: true })} for the key process values of the shift.`
+          : `If the alarms point to a few important process values, read their history of the shift with get-logged-tag-values (aggregationInterval "${period || "8h"}", aggregates min, max and mean).`,
+        `Call query-audit-log with ${toolArguments({ ...range })} for tag writes, acknowledgements and other changes made through this server during the shift.`,
+      ];
+
+      return userPrompt("Shift handover summary", `
+Prepare the shift handover for the shift from ${range.startTime} to ${range.endTime}${area ? ` in area ${area}` : ""}.
+${connectionsNote(connections, true)}
+${steps.map((step, index) => `${index + 1}. ${step}`).join("\n")}
+
+Then write the handover for the next shift, short and in plain language, with these sections:
+- Open issues: active alarms that need attention, with priority, time and event text.
+- Events of the shift: the most important alarms and what they were about, in time order.
+- Alarm load: alarms per hour, floods, chattering and standing alarms, compared with ISA-18.2.
+- Process values: the key values and anything unusual about them.
+- Changes: writes and acknowledgements from the audit trail, with user and time.
+Leave out a section if there is nothing to report, and say when a tool failed instead of guessing.
+`);
+    }
+  );
+}
@@ -0,0 +1,74 @@
+/*
+ * Prompts for the diagnosis of tags and the check before a tag is written.
+*/
+
+import { z } from "zod";
+import { promptTimeRange, toolArguments, connectionsNote, userPrompt } from "../lib/prompts.js";
+
+export function registerTagPrompts(server, { connections, confirmations }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Prompt for the troubleshooting of a tag
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.prompt(
+    "troubleshoot-tag",
+    "Diagnoses a tag that shows a wrong, frozen or bad-quality value: current value and quality, history, and the related alarms.",
+    {
+      tagName: z.string().describe('Full name of the tag, e.g. "System1::Tank1.Level"'),
+      period: z.string().optional().describe('History to look at up to now, e.g. "24h" (default)'),
+    },
+    async ({ tagName, period }) => {
+      const range = promptTimeRange({ period }, "24h");
+      const objectName = tagName.split(".")[0];
+
+      return userPrompt(`Troubleshooting of ${tagName}`, `
+Find out what is wrong with the tag ${tagName}.
+${connectionsNote(connections)}
+1. Call browse-objects with ${toolArguments({ nameFilters: [tagName] })} to check that the tag exists and to get its data type. If it does not exist, search for similar names with search-objects and stop here.
+2. Call get-tag-values with ${toolArguments({ names: [tagName], directRead: true })} for the current value, its timestamp and quality read from the device. Compare it with a call without directRead (the cached value).
+3. Call get-logged-tag-values with ${toolArguments({ names: [tagName], ...range, aggregationInterval: "1h", aggregates: ["min", "max", "mean", "count"] })} for the course of the value, and without aggregation for the last values and their qualities.
+4. Call get-active-alarms and get-logged-alarms (startTime "${range.startTime}") with the filter ${toolArguments({ field: "name", operator: "LIKE", value: `${objectName}*` })} for the alarms of the tag and its object, e.g. communication or limit alarms.
+
+Then explain:
+- Whether the value is plausible, frozen (no changes, constant timestamp), out of range or of bad or uncertain quality, and since when.
+- The likely cause: e.g. connection to the PLC, sensor, logging configuration or the process itself, with the evidence.
+- What to check next on site or in the engineering.
+Do not write the tag.
+`);
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Prompt for the safety check before a tag is written
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.prompt(
+    "pre-write-check",
+    "Checks whether writing a value to a tag is safe before it is done: write policy, current value and trend, active alarms, and a preview of the write.",
+    {
+      tagName: z.string().describe('Full name of the tag to write, e.g. "System1::Tank1.Setpoint"'),
+      value: z.string().describe("The value to write"),
+      reason: z.string().optional().describe("Why the value should be written"),
+    },
+    async ({ tagName, value, reason }) => {
+      const range = promptTimeRange({}, "1h");
+      const objectName = tagName.split(".")[0];
+      const number = Number(value);
+      const input = [{ name: tagName, value: value.trim() !== "" && Number.isFinite(number) ? number : value }];
+
+      return userPrompt(`Pre-write check for ${tagName}`, `
+Check whether it is safe to write ${JSON.stringify(input[0].value)} to ${tagName}${reason ? ` (reason: ${reason})` : ""}. Do not write it yet.
+${connectionsNote(connections)}
+1. Call write-tag-values with ${toolArguments({ input, dryRun: true })} to check the write against the write policy of the server. If the policy rejects it, explain the violations to the user and stop here.
+2. Call browse-objects with ${toolArguments({ nameFilters: [tagName] })} for the data type of the tag; check that the value fits it.
+3. Call get-tag-values with ${toolArguments({ names: [tagName], directRead: true })} for the current value and quality, and get-logged-tag-values with ${toolArguments({ names: [tagName], ...range })} for its recent course. Compare the new value with them: how big is the step?
+4. Call get-active-alarms with the filter ${toolArguments({ field: "name", operator: "LIKE", value: `${objectName}*` })} for active alarms of the object, which may be a reason not to write now.
+5. Call write-tag-values with ${toolArguments({ input, preview: true })} for a preview of the write${confirmations.required ? "; the server requires this confirmation step anyway" : ""}.
+
+Then summarize for the user: the current and the new value, the size of the change, the data type and quality, related active alarms and any risk you see.
+Ask the user for an explicit confirmation. Only after the user has confirmed, call write-tag-values again with the same input and the confirmationToken of the preview, and report the verified result.
+`);
+    }
+  );
+}
@@ -0,0 +1,62 @@
+/*
+ * The live active alarm list as MCP resource (winccua://alarms/active).
+ *
+ * Subscribed clients get notifications/resources/updated whenever the alarm mirror reports an added,
+ * modified or removed alarm.
+*/
+
+export const ACTIVE_ALARMS_URI = "winccua://alarms/active";
+
+// Number of alarm changes kept per session between two reads
+const ALARM_HISTORY_SIZE = parseInt(process.env.ALARM_SUBSCRIPTION_HISTORY || "500", 10);
+
+export function registerAlarmResources(server, { session, alarmMirror, resourceSubscriptions }) {
+  if (!alarmMirror) {
+    return;
+  }
+
+  let subscribed = false;
+  let changes = [];
+
+  const onChange = ({ reason, alarm }) => {
+    if (!subscribed) {
+      return;
+    }
+    changes.push({ reason, name: alarm.name, instanceID: alarm.instanceID, state: alarm.state, priority: alarm.priority, eventText: alarm.eventText, at: new Date().toISOString() });
+    if (changes.length > ALARM_HISTORY_SIZE) {
+      changes.shift();
+    }
+    resourceSubscriptions.notifyUpdated(ACTIVE_ALARMS_URI);
+  };
+  alarmMirror.on('change', onChange);
+  session.on('close', () => alarmMirror.off('change', onChange));
+
+  server.resource(
+    "active-alarms",
+    ACTIVE_ALARMS_URI,
+    {
+      description: "Live list of the active alarms, kept up to date by an activeAlarms subscription. Subscribe to get notified when alarms are added, modified or removed; reading returns the changes since the last read.",
+      mimeType: "application/json",
+    },
+    async (uri) => {
+      const content = {
+        ...alarmMirror.status(),
+        alarms: alarmMirror.list(),
+        ...(subscribed ? { changesSinceLastRead: changes } : {}),
+      };
+      changes = [];
+      return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(content, null, 2) }] };
+    }
+  );
+
+  resourceSubscriptions.handle(ACTIVE_ALARMS_URI, {
+    subscribe: () => {
+      subscribed = true;
+      changes = [];
+    },
+    unsubscribe: () => {
+      subscribed = false;
+      changes = [];
+    },
+  });
+}
@@ -0,0 +1,31 @@
+/*
+ * Files of export-logged-data and generate-shift-report as MCP resources (winccua://export/{id}).
+ *
+ * Reading the resource returns the description of the export with its download link, not the file content.
+*/
+
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { EXPORT_URI_PREFIX } from "../lib/exports.js";
+
+export function registerExportResources(server, { session, exportStore }) {
+  server.resource(
+    "export",
+    new ResourceTemplate(EXPORT_URI_PREFIX + "{id}", {
+      // Lists the exports of this session that have not expired
+      list: async () => ({
+        resources: exportStore.listForSession(session.id).map(entry => ({ uri: exportStore.uri(entry), name: entry.fileName, mimeType: "application/json" })),
+      }),
+    }),
+    {
+      description: "File written by export-logged-data or generate-shift-report: format, number of rows, size, expiry time and download link.",
+      mimeType: "application/json",
+    },
+    async (uri, { id }) => {
+      const entry = exportStore.get(id, session.id);
+      if (!entry) {
+        throw new Error(`Unknown or expired export '${id}'.`);
+      }
+      return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(exportStore.describe(entry), null, 2) }] };
+    }
+  );
+}
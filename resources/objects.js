@@ -0,0 +1,158 @@
+/*
+ * The WinCC Unified object model as MCP resources, for lazy navigation through the plant structure.
+ *
+ *   winccua://systems          the systems, with the number of objects in each
+ *   winccua://system/{system}  the objects of a system (name filter "System::*")
+ *   winccua://object/{name}    metadata and current value of an object, element or subelement, and its children:
+ *                              the elements of the next level ("Name.*") and the subelements ("Name:*"),
+ *                              e.g. alarms and logging tags
+ *
+ * Only systems are listed by resources/list; objects are reached through the children of the resource above them,
+ * or by completing the {name} argument.
+*/
+
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { isErrorResult } from "../lib/graphql-client.js";
+
+export const SYSTEMS_URI = "winccua://systems";
+export const SYSTEM_URI_PREFIX = "winccua://system/";
+export const OBJECT_URI_PREFIX = "winccua://object/";
+
+// Maximum number of names returned by the completion of {name}
+const COMPLETION_LIMIT = 100;
+
+const browseQuery = `
+  query BrowseObjectResources($nameFilters: [String], $language: String) {
+    browse(nameFilters: $nameFilters, language: $language) {
+      name
+      displayName
+      objectType
+      dataType
+    }
+  }
+`;
+
+const objectValueQuery = `
+  query ObjectValue($names: [String!]!) {
+    tagValues(names: $names) {
+      name
+      value {
+        value
+        timestamp
+        quality {
+          quality
+          subStatus
+        }
+      }
+      error {
+        code
+        description
+      }
+    }
+  }
+`;
+
+export function objectUri(name) {
+  return OBJECT_URI_PREFIX + encodeURIComponent(name);
+}
+
+export function systemUri(system) {
+  return SYSTEM_URI_PREFIX + encodeURIComponent(system);
+}
+
+// "System1::Tank1.Level" -> "System1"
+const systemOf = name => name.includes("::") ? name.slice(0, name.indexOf("::")) : "";
+
+// Subelements (after the ":" following the object name) have no children
+function childFilters(name) {
+  const path = name.includes("::") ? name.slice(name.indexOf("::") + 2) : name;
+  return path.includes(":") ? [] : [`${name}.*`, `${name}:*`];
+}
+
+// Tags and their elements have a value; types, alarms, alarm classes and logging tags do not
+const hasValue = object => /TAG$/.test(object.objectType || "") && object.objectType !== "LOGGINGTAG";
+
+const describeObject = object => ({ uri: objectUri(object.name), ...object });
+
+export function registerObjectResources(server, { session }) {
+  const browse = async (nameFilters) => {
+    const data = await session.client.query(browseQuery, { nameFilters, language: session.language });
+    return data.browse || [];
+  };
+
+  // Number of top level objects per system
+  const systems = async () => {
+    const counts = new Map();
+    for (const object of await browse(["*::*"])) {
+      const system = systemOf(object.name);
+      counts.set(system, (counts.get(system) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([system, objects]) => ({ system, uri: systemUri(system), objects }));
+  };
+
+  server.resource(
+    "systems",
+    SYSTEMS_URI,
+    {
+      description: "The WinCC Unified systems of the object model. Read winccua://system/{system} for the objects of a system.",
+      mimeType: "application/json",
+    },
+    async (uri) => ({ contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(await systems(), null, 2) }] })
+  );
+
+  server.resource(
+    "system",
+    new ResourceTemplate(SYSTEM_URI_PREFIX + "{system}", {
+      list: async () => ({
+        resources: (await systems()).map(({ system, uri, objects }) => ({ uri, name: system, description: `${objects} objects`, mimeType: "application/json" })),
+      }),
+    }),
+    {
+      description: "The top level objects of a WinCC Unified system (tags, types, alarm classes, ...), each with its winccua://object/{name} URI.",
+      mimeType: "application/json",
+    },
+    async (uri, { system }) => {
+      const name = decodeURIComponent(system);
+      const objects = (await browse([`${name}::*`])).map(describeObject);
+      return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify({ system: name, objects }, null, 2) }] };
+    }
+  );
+
+  server.resource(
+    "object",
+    new ResourceTemplate(OBJECT_URI_PREFIX + "{name}", {
+      list: undefined,
+      complete: {
+        // Names on the level of the typed text, e.g. "System1::Tank1." completes to the elements of Tank1
+        name: async (value) => {
+          const prefix = decodeURIComponent(value || "");
+          const filter = prefix.includes("::") ? `${prefix}*` : `${prefix}*::*`;
+          return (await browse([filter])).slice(0, COMPLETION_LIMIT).map(object => object.name);
+        },
+      },
+    }),
+    {
+      description: "A WinCC Unified object, element or subelement: displayName, objectType, dataType, the current value of tags, and the children (elements and subelements such as alarms and logging tags) with their URIs. The name must be URI encoded, e.g. winccua://object/System1%3A%3ATank1.",
+      mimeType: "application/json",
+    },
+    async (uri, { name: encodedName }) => {
+      const name = decodeURIComponent(encodedName);
+      const [object] = (await browse([name])).filter(item => item.name === name);
+      if (!object) {
+        throw new Error(`Object '${name}' not found.`);
+      }
+
+      const content = { ...object };
+      if (hasValue(object)) {
+        const result = (await session.client.query(objectValueQuery, { names: [name] })).tagValues?.[0];
+        content.value = result?.value || null;
+        if (isErrorResult(result?.error)) {
+          content.error = result.error;
+        }
+      }
+      const filters = childFilters(name);
+      content.children = filters.length > 0 ? (await browse(filters)).filter(child => child.name !== name).map(describeObject) : [];
+      return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(content, null, 2) }] };
+    }
+  );
+}
@@ -0,0 +1,195 @@
+/*
+ * WinCC Unified tags as MCP resources (winccua://tag/{name}).
+ *
+ * Clients can subscribe to a tag resource with resources/subscribe. The server then keeps a GraphQL tagValues
+ * subscription to WinCC Unified and sends notifications/resources/updated whenever the value changes.
+*/
+
+import { ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { isErrorResult } from "../lib/graphql-client.js";
+
+export const TAG_URI_PREFIX = "winccua://tag/";
+
+// Number of notifications kept per subscribed tag, so that short spikes between two reads are not lost
+const TAG_HISTORY_SIZE = parseInt(process.env.TAG_SUBSCRIPTION_HISTORY || "100", 10);
+
+const tagValuesSubscription = `
+  subscription TagValues($names: [String!]!) {
+    tagValues(names: $names) {
+      name
+      value {
+        value
+        timestamp
+        quality {
+          quality
+          subStatus
+        }
+      }
+      error {
+        code
+        description
+      }
+      notificationReason
+    }
+  }
+`;
+
+const tagValuesQuery = `
+  query GetTagValues($names: [String!]!) {
+    tagValues(names: $names) {
+      name
+      value {
+        value
+        timestamp
+        quality {
+          quality
+          subStatus
+        }
+      }
+      error {
+        code
+        description
+      }
+    }
+  }
+`;
+
+export function tagUri(name) {
+  return TAG_URI_PREFIX + encodeURIComponent(name);
+}
+
+export function tagNameFromUri(uri) {
+  const href = typeof uri === "string" ? uri : uri.href;
+  if (!href.startsWith(TAG_URI_PREFIX)) {
+    return null;
+  }
+  return decodeURIComponent(href.slice(TAG_URI_PREFIX.length));
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// Subscribed tags of one MCP session
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+class TagMonitor {
+  constructor(session, onUpdate) {
+    this.session = session;
+    this.onUpdate = onUpdate;
+    this.tags = new Map(); // name -> { uri, value, error, reason, history, unsubscribe }
+  }
+
+  has(name) {
+    return this.tags.has(name);
+  }
+
+  subscribe(name) {
+    if (this.tags.has(name) && !this.tags.get(name).removed) {
+      return;
+    }
+    const entry = { uri: tagUri(name), value: null, error: null, reason: null, removed: false, history: [], unsubscribe: null };
+    this.tags.set(name, entry);
+
+    entry.unsubscribe = this.session.subscriptions.subscribe(tagValuesSubscription, { names: [name] }, {
+      next: (data) => this.#notification(name, entry, data.tagValues),
+      error: (error) => {
+        console.error(`[Tag Subscriptions] Subscription for '${name}' failed:`, error.message);
+        entry.error = { code: null, description: error.message };
+        this.onUpdate(entry.uri);
+      },
+    });
+    console.log(`[Tag Subscriptions] Subscribed to '${name}' for MCP session ${this.session.id}`);
+  }
+
+  unsubscribe(name) {
+    const entry = this.tags.get(name);
+    if (entry) {
+      this.tags.delete(name);
+      entry.unsubscribe?.();
+      console.log(`[Tag Subscriptions] Unsubscribed from '${name}' for MCP session ${this.session.id}`);
+    }
+  }
+
+  // Returns the cached state and the notifications received since the last read
+  read(name) {
+    const entry = this.tags.get(name);
+    if (!entry) {
+      return null;
+    }
+    const changes = entry.history;
+    entry.history = [];
+    return {
+      name,
+      value: entry.value,
+      error: entry.error,
+      notificationReason: entry.reason,
+      subscribed: !entry.removed,
+      changesSinceLastRead: changes,
+    };
+  }
+
+  close() {
+    for (const name of [...this.tags.keys()]) {
+      this.unsubscribe(name);
+    }
+  }
+
+  #notification(name, entry, notification) {
+    if (!notification) {
+      return;
+    }
+    const reason = notification.notificationReason || "Unknown";
+    entry.reason = reason;
+    entry.error = isErrorResult(notification.error) ? notification.error : null;
+
+    if (reason.startsWith("Removed")) {
+      // Deleted or renamed in WinCC Unified, a renamed tag must be subscribed again with its new name
+      entry.removed = true;
+      entry.unsubscribe?.();
+      console.warn(`[Tag Subscriptions] '${name}' was removed from the subscription: ${reason}`);
+    } else if (notification.value) {
+      entry.value = notification.value;
+      entry.history.push({ ...notification.value, notificationReason: reason });
+      if (entry.history.length > TAG_HISTORY_SIZE) {
+        entry.history.shift();
+      }
+    }
+    this.onUpdate(entry.uri);
+  }
+}
+
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+// Resource template and subscription handling
+// ------------------------------------------------------------------------------------------------------------------------------------------------
+
+export function registerTagResources(server, { session, resourceSubscriptions }) {
+  const monitor = new TagMonitor(session, (uri) => resourceSubscriptions.notifyUpdated(uri));
+  session.on('close', () => monitor.close());
+
+  server.resource(
+    "tag",
+    new ResourceTemplate(TAG_URI_PREFIX + "{name}", {
+      // Lists the tags this session is subscribed to
+      list: async () => ({
+        resources: [...monitor.tags.keys()].map(name => ({ uri: tagUri(name), name, mimeType: "application/json" })),
+      }),
+    }),
+    {
+      description: "Current value of a WinCC Unified tag. The tag name must be URI encoded, e.g. winccua://tag/System1%3A%3ATank1.Level. Subscribe to get notified on value changes.",
+      mimeType: "application/json",
+    },
+    async (uri) => {
+      const name = tagNameFromUri(uri);
+      let content = monitor.read(name);
+      if (!content) {
+        const data = await session.client.query(tagValuesQuery, { names: [name] });
+        const result = data.tagValues?.[0] || {};
+        content = { name, value: result.value || null, error: isErrorResult(result.error) ? result.error : null, subscribed: false };
+      }
+      return { contents: [{ uri: uri.href, mimeType: "application/json", text: JSON.stringify(content, null, 2) }] };
+    }
+  );
+
+  resourceSubscriptions.handle(TAG_URI_PREFIX, {
+    subscribe: (uri) => monitor.subscribe(tagNameFromUri(uri)),
+    unsubscribe: (uri) => monitor.unsubscribe(tagNameFromUri(uri)),
+  });
+}
@@ -0,0 +1,1165 @@
+/*
+ * Tools to query, acknowledge, reset, disable, enable and shelve WinCC Unified alarms.
+*/
+
+import { z } from "zod";
+import { AlarmIdentifierInputZod, AlarmStateEnumZod, OutputFormatEnumZod, AlarmFilterZod } from "../lib/schemas.js";
+import { matchesAlarmFilter, isConditionActive } from "../lib/alarm-mirror.js";
+import { collectItemErrors, isErrorResult } from "../lib/graphql-client.js";
+import { parseDuration, formatDuration } from "../lib/durations.js";
+import { formatOutput, flattenRecord, OUTPUT_FORMAT_DESCRIPTION } from "../lib/output-format.js";
+import { collectPage, forEachUnit, decodeCursor, continuationContent } from "../lib/paging.js";
+import { loggedAlarmsQueryFor, LOGGED_ALARM_COLUMNS, loggedAlarmsUnits, loggedTagValuesUnits, groupLoggedTagValues } from "../lib/history.js";
+import { AlarmOccurrences, analyzeAlarmPerformance } from "../lib/alarm-kpis.js";
+import { buildTimeline, detectFloods } from "../lib/alarm-sequence.js";
+import { alarmFilterString, validateAlarmFilter, ALARM_FILTER_DESCRIPTION } from "../lib/alarm-filter.js";
+import { resolveAlarmFields, alarmSelectionSet, ALARM_FIELD_PRESET_NAMES, ALARM_FIELDS_DESCRIPTION } from "../lib/alarm-fields.js";
+
+// Attributes returned by get-active-alarms without fields and preset
+const ACTIVE_ALARM_DEFAULT_FIELDS = ["name", "instanceID", "raiseTime", "acknowledgmentTime", "clearTime", "modificationTime", "state", "priority", "eventText", "infoText", "languages"];
+
+const alarmMutationErrorsDescription = `
+    Errors:
+      0 - Success
+      2 - Cannot resolve provided name
+    `;
+
+const affectedAlarmsQuery = `
+  query AffectedActiveAlarms($languages: [String]) {
+    activeAlarms(languages: $languages) {
+      name
+      instanceID
+      state
+      priority
+      eventText
+      raiseTime
+      acknowledgmentTime
+      clearTime
+    }
+  }
+`;
+
+// Alarms that are active now, for the standing alarms of analyze-alarm-performance
+const standingAlarmsQuery = `
+  query StandingAlarms($systemNames: [String], $filterString: String, $filterLanguage: String, $languages: [String]) {
+    activeAlarms(systemNames: $systemNames, filterString: $filterString, filterLanguage: $filterLanguage, languages: $languages) {
+      name
+      instanceID
+      raiseTime
+      acknowledgmentTime
+      clearTime
+      resetTime
+      modificationTime
+      state
+      priority
+      eventText
+      alarmClassName
+      area
+      origin
+      stateMachine
+    }
+  }
+`;
+
+// Attributes of an alarm for explain-alarm, available for active and logged alarms
+const alarmDetailsFields = `
+      name
+      instanceID
+      alarmGroupID
+      raiseTime
+      acknowledgmentTime
+      clearTime
+      resetTime
+      modificationTime
+      state
+      stateMachine
+      priority
+      alarmClassName
+      alarmClassSymbol
+      alarmType
+      eventText
+      infoText
+      stateText
+      alarmParameterValues
+      origin
+      area
+      value
+      valueLimit
+      valueQuality {
+        quality
+        subStatus
+      }
+      quality {
+        quality
+        subStatus
+      }
+      sourceType
+      suppressionState
+      changeReason
+      invalidFlags {
+        invalidConfiguration
+        invalidTimestamp
+        invalidAlarmParameter
+        invalidEventText
+      }
+      producer
+      hostName
+      userName
+      duration
+      languages
+`;
+
+const activeAlarmDetailsQuery = `
+  query ActiveAlarmDetails($filterString: String, $languages: [String]) {
+    activeAlarms(filterString: $filterString, languages: $languages) {${alarmDetailsFields}    }
+  }
+`;
+
+const loggedAlarmDetailsQuery = `
+  query LoggedAlarmDetails($filterString: String, $languages: [String], $startTime: Timestamp, $endTime: Timestamp) {
+    loggedAlarms(filterString: $filterString, languages: $languages, startTime: $startTime, endTime: $endTime, maxNumberOfResults: 0) {${alarmDetailsFields}    }
+  }
+`;
+
+const sourceTagQuery = `
+  query AlarmSourceTag($names: [String], $loggingTagFilters: [String], $language: String) {
+    tags: browse(nameFilters: $names, language: $language) {
+      name
+      displayName
+      objectType
+      dataType
+    }
+    loggingTags: browse(nameFilters: $loggingTagFilters, objectTypeFilters: [LOGGINGTAG], language: $language) {
+      name
+      displayName
+    }
+  }
+`;
+
+const sourceTagValueQuery = `
+  query AlarmSourceTagValue($names: [String!]!) {
+    tagValues(names: $names) {
+      name
+      value {
+        value
+        timestamp
+        quality {
+          quality
+          subStatus
+        }
+      }
+      error {
+        code
+        description
+      }
+    }
+  }
+`;
+
+// Possible source tags of an alarm, most specific first:
+// "System1::Tank1.Level:HighAlarm" -> ["System1::Tank1.Level", "System1::Tank1"]
+function sourceTagCandidates(alarmName) {
+  const systemEnd = alarmName.indexOf("::");
+  const system = systemEnd >= 0 ? alarmName.slice(0, systemEnd + 2) : "";
+  const path = systemEnd >= 0 ? alarmName.slice(systemEnd + 2) : alarmName;
+  let tag = path.includes(":") ? path.slice(0, path.lastIndexOf(":")) : path;
+  const candidates = [];
+  while (tag) {
+    candidates.push(system + tag);
+    tag = tag.includes(".") ? tag.slice(0, tag.lastIndexOf(".")) : "";
+  }
+  return candidates;
+}
+
+// Turns the AlarmMutationResult list into { succeeded, failed } with readable error descriptions
+function summarizeAlarmMutation(names, results) {
+  const failed = collectItemErrors(results, item => item.alarmName);
+  const failedNames = new Set(failed.map(item => item.name));
+  return {
+    succeeded: (results || []).map(item => item?.alarmName).filter(name => name && !failedNames.has(name)),
+    failed: failed.map(({ name, code, description }) => ({ name, code, description })),
+    ...(results && results.length !== names.length ? { requested: names.length, returned: results.length } : {}),
+  };
+}
+
+export function registerAlarmTools(server, { session, connections, alarmMirror, confirmations, audit, paging }) {
+
+  // Active alarm instances addressed by a list of AlarmIdentifierInputs, for the preview of acknowledge and reset.
+  // The mirror only has the alarms of the default connection.
+  async function affectedAlarms(input) {
+    const alarms = alarmMirror?.connected && session.connection === connections.default
+      ? alarmMirror.list()
+      : (await session.client.query(affectedAlarmsQuery, { languages: [session.language] })).activeAlarms || [];
+    return input.map(({ name, instanceID }) => ({
+      name,
+      instanceID: instanceID || 0,
+      instances: alarms
+        .filter(alarm => alarm.name === name && (!instanceID || alarm.instanceID === instanceID))
+        .map(({ instanceID, state, priority, eventText, raiseTime, acknowledgmentTime, clearTime }) => ({ instanceID, state, priority, eventText, raiseTime, acknowledgmentTime, clearTime })),
+    }));
+  }
+
+  // First phase of the two-phase confirmation: returns the tool result with the preview, or null if the mutation should run
+  async function alarmMutationPreview(toolName, { input, preview, confirmationToken }) {
+    if (confirmations.wantsPreview({ preview, confirmationToken })) {
+      const result = {
+        preview: true,
+        ...confirmations.issue(session, toolName, { input }),
+        affectedAlarms: await affectedAlarms(input),
+      };
+      return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    }
+    if (confirmationToken) {
+      confirmations.consume(session, toolName, confirmationToken, { input });
+    }
+    return null;
+  }
+
+  // Runs one of the configured-alarm mutations (disable, enable, shelve, unshelve) and summarizes the per-alarm results
+  async function runAlarmMutation(toolName, mutationName, graphqlMutation, variables) {
+    try {
+      console.log(`[${toolName}] Attempting to send mutation to: ${session.client.url}`);
+      const data = await audit.mutate(session, toolName, graphqlMutation, variables);
+      const summary = summarizeAlarmMutation(variables.names, data[mutationName]);
+      console.log(`Successfully sent ${mutationName} mutation to GraphQL server, ${summary.succeeded.length} succeeded, ${summary.failed.length} failed.`);
+      return summary;
+    } catch (error) {
+      console.error(`Error in '${toolName}' tool during GraphQL call:`, error);
+      throw error;
+    }
+  }
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to get active alarms from WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "get-active-alarms",
+    `Query active alarms from the provided systems.
+    The filterString parameter must be a valid ChromQueryLanguage (based on, and very similar to SQL) string,
+    more specifically its WHERE part (without including the WHERE word itself).
+    You can use most of the simple expressions in CQL, that are valid in SQL.
+    The column names must be valid active alarm attributes, which corresponds to abut basically it can be interpreted as a single-table database in SQL.
+    You can use wildcards (* to match with any number of characters, ? to replace exactly one character),
+    less-than and greater-than, equal and similar operators, and you can use parentheses to group the expressions and connect them with logical operators such as OR or AND.
+    If the filterString contains any comparison with multilingual texts, the filterLanguage parameter is used to decide,
+    which language of the texts should be compared. All multilingual texts will be returned in the languages specified in the languages parameter.
+    All language identifying parameters must be provided in ISO language code format (e.g. "en-US", "de-DE").
+    If they are not provided, the language of the WinCC user of this session is used.
+    The retrieved multilingual texts will be returned as arrays of strings, one element standing for one language specified,
+    in the order they were passed. The 'languages' attribute can be selected, that will specify this order again,
+    so they are available when processing the query.
+
+    Errors:
+      0 - Success
+      301 - Syntax error in query string
+      302 - At least one of the requested languages is invalid
+      303 - The provided filter language is invalid
+    ${ALARM_FILTER_DESCRIPTION}${ALARM_FIELDS_DESCRIPTION}${OUTPUT_FORMAT_DESCRIPTION}`,
+    {
+      systemNames: z.array(z.string()).optional().default([]),
+      filterString: z.string().optional().default(""),
+      filter: AlarmFilterZod.optional(),
+      filterLanguage: z.string().optional(),
+      languages: z.array(z.string()).optional(),
+      fields: z.array(z.string()).optional().default([]),
+      preset: z.enum(ALARM_FIELD_PRESET_NAMES).optional(),
+      outputFormat: OutputFormatEnumZod.optional().default("json"),
+    },
+    async ({ systemNames, filterString, filter, filterLanguage = session.language, languages: requestedLanguages = [session.language], fields, preset, outputFormat }, executionContext) => {
+      console.log(`Tool 'get-active-alarms' called with:`, { systemNames, filterString, filter, filterLanguage, languages: requestedLanguages, fields, preset, outputFormat });
+
+      try {
+        const selectedFields = resolveAlarmFields("ActiveAlarm", { preset, fields }, ACTIVE_ALARM_DEFAULT_FIELDS);
+        const graphqlQuery = `
+          query GetActiveAlarms(
+            $systemNames: [String],
+            $filterString: String,
+            $filterLanguage: String,
+            $languages: [String]
+          ) {
+            activeAlarms(
+              systemNames: $systemNames,
+              filterString: $filterString,
+              filterLanguage: $filterLanguage,
+              languages: $languages
+            ) {
+${alarmSelectionSet("ActiveAlarm", selectedFields, "              ")}
+            }
+          }
+        `;
+
+        const variables = {
+          systemNames,
+          filterString: alarmFilterString({ filter, filterString }, "ActiveAlarm"),
+          filterLanguage,
+          languages: requestedLanguages,
+        };
+        const data = await session.client.query(graphqlQuery, variables);
+
+        console.log('Successfully fetched activeAlarms from GraphQL server. Number of alerts: ', data.activeAlarms?.length || 0);
+        const alarms = data.activeAlarms || [];
+        return { content: [{ type: "text", text: formatOutput(outputFormat, { json: alarms, records: () => alarms.map(alarm => flattenRecord(alarm)) }) }] };
+      } catch (error) {
+        console.error("Error in 'get-active-alarms' tool during GraphQL call:", error);
+        throw new Error(`Failed to retrieve active alarms: ${error.message}`);
+      }
+    }
+  );
+
+  // Reads the logged alarms between variables.startTime and variables.endTime in time chunks, sorted by ModificationTime.
+  // Returns { items, next } of collectPage.
+  async function fetchLoggedAlarmsPaged(variables, { limit = Infinity, start, query } = {}) {
+    const { units, fetchUnit } = loggedAlarmsUnits(session.client, paging, variables, query);
+    return collectPage({ units, start, limit, concurrency: paging.concurrency, fetchUnit });
+  }
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to get logged alarms from WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "get-logged-alarms",
+    `Query logged alarms from the storage system.
+    The filterString parameter must be a valid ChromQueryLanguage (based on, and very similar to SQL) string,
+    more specifically its WHERE part (without including the WHERE word itself).
+    You can use most of the simple expressions in CQL, that are valid in SQL.
+    The column names must be valid logged alarm attributes.
+    You can use wildcards (* to match with any number of characters, ? to replace exactly one character),
+    less-than and greater-than, equal and similar operators, and you can use parentheses to group the expressions and connect them with logical operators such as OR or AND.
+    If the filterString contains any comparison with multilingual texts, the filterLanguage parameter is used to decide,
+    which language of the texts should be compared. All multilingual texts will be returned in the languages specified in the languages parameter.
+    All language identifying parameters must be provided in ISO language code format (e.g. "en-US", "de-DE"), and must be valid logging languages.
+    If they are not provided, the language of the WinCC user of this session is used.
+    The retrieved multilingual texts will be returned as arrays of strings, one element standing for one language specified,
+    in the order they were passed. The 'languages' attribute can be selected, that will specify this order again,
+    so they are available when processing the query.
+    The startTime and endTime parameters are the boundaries for reading the historical alarm entries, only alarms with ModificationTime greater than startTime,
+    and less than endTime will be read. The maxNumberOfResults restricts the amount of returned alarm entries.
+    When both startTime and endTime are provided, the server reads the interval in several time chunks and returns the alarms
+    sorted by ModificationTime. maxNumberOfResults is then the maximum number of alarms of one call (default: the page size of the server).
+    If more alarms are available, the result ends with a cursor; call the tool again with the same arguments plus this cursor
+    to get the next alarms.
+
+    Errors:
+      0 - Success
+      301 - Syntax error in query string
+      302 - At least one of the requested languages is invalid (or not logged)
+      303 - The provided filter language is invalid (or not logged)
+    ${ALARM_FILTER_DESCRIPTION}${ALARM_FIELDS_DESCRIPTION}${OUTPUT_FORMAT_DESCRIPTION}`,
+    {
+      systemNames: z.array(z.string()).optional().default([]),
+      filterString: z.string().optional().default(""),
+      filter: AlarmFilterZod.optional(),
+      filterLanguage: z.string().optional(),
+      languages: z.array(z.string()).optional(),
+      fields: z.array(z.string()).optional().default([]),
+      preset: z.enum(ALARM_FIELD_PRESET_NAMES).optional(),
+      startTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for startTime" }).optional(),
+      endTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for endTime" }).optional(),
+      maxNumberOfResults: z.number().int().min(0).optional(),
+      outputFormat: OutputFormatEnumZod.optional().default("json"),
+      cursor: z.string().optional(),
+    },
+    async ({ systemNames, filterString, filter, filterLanguage = session.language, languages: requestedLanguages = [session.language], fields, preset, startTime, endTime, maxNumberOfResults, outputFormat, cursor }, executionContext) => {
+      console.log(`Tool 'get-logged-alarms' called with:`, { systemNames, filterString, filter, filterLanguage, languages: requestedLanguages, fields, preset, startTime, endTime, maxNumberOfResults, outputFormat, cursor });
+
+      // The selected fields do not change the order of the alarms, so a cursor stays valid with other fields
+      const pagingArgs = { systemNames, filterString, filter, filterLanguage, languages: requestedLanguages, startTime, endTime, maxNumberOfResults };
+      try {
+        const query = loggedAlarmsQueryFor(alarmSelectionSet("LoggedAlarm", resolveAlarmFields("LoggedAlarm", { preset, fields }, LOGGED_ALARM_COLUMNS)));
+        const variables = {
+          systemNames,
+          filterString: alarmFilterString({ filter, filterString }, "LoggedAlarm"),
+          filterLanguage,
+          languages: requestedLanguages,
+          startTime,
+          endTime,
+          maxNumberOfResults,
+        };
+
+        let alarms;
+        let next = null;
+        if (startTime && endTime) {
+          const limit = maxNumberOfResults > 0 ? maxNumberOfResults : paging.pageSize;
+          const start = cursor ? decodeCursor(cursor, pagingArgs) : undefined;
+          ({ items: alarms, next } = await fetchLoggedAlarmsPaged(variables, { limit, start, query }));
+        } else {
+          if (cursor) {
+            throw new Error("A cursor can only be used when both startTime and endTime are provided.");
+          }
+          const data = await session.client.query(query, variables);
+          alarms = data.loggedAlarms || [];
+        }
+
+        console.log('Successfully fetched loggedAlarms from GraphQL server. Number of alarms: ', alarms.length, next ? "(more available)" : "");
+        return {
+          content: [
+            { type: "text", text: formatOutput(outputFormat, { json: alarms, records: () => alarms.map(alarm => flattenRecord(alarm)) }) },
+            ...continuationContent(pagingArgs, next),
+          ],
+        };
+      } catch (error) {
+        console.error("Error in 'get-logged-alarms' tool during GraphQL call:", error);
+        throw new Error(`Failed to retrieve logged alarms: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to check an alarm filter without querying alarms
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "validate-alarm-filter",
+    `Checks an alarm filter before it is used with get-active-alarms or get-logged-alarms, without sending anything to WinCC Unified.
+    filter is the structured filter of these tools, filterString a ChromQueryLanguage string; one or both can be given.
+    alarmType selects the attributes the filter is checked against: "active" (ActiveAlarm, default) or "logged" (LoggedAlarm).
+    The check covers the syntax of filterString (comparisons, LIKE, IN, AND, OR, NOT and parentheses), the attribute names,
+    the operators allowed for the type of each attribute, and the values of enum attributes such as state, sourceType or
+    suppressionState.
+
+    Returns valid, the compiled filterString that the tools would send (filter and filterString combined with AND), and for an
+    invalid filter the errors with the path of the wrong part (e.g. filter.and[1].value) and an explanation.
+    `,
+    {
+      filter: AlarmFilterZod.optional(),
+      filterString: z.string().optional().default(""),
+      alarmType: z.enum(["active", "logged"]).optional().default("active"),
+    },
+    async ({ filter, filterString, alarmType }) => {
+      console.log(`Tool 'validate-alarm-filter' called with:`, { filter, filterString, alarmType });
+
+      if (!filter && !filterString.trim()) {
+        throw new Error("Failed to validate alarm filter: provide filter or filterString.");
+      }
+      const result = validateAlarmFilter({ filter, filterString }, alarmType === "logged" ? "LoggedAlarm" : "ActiveAlarm");
+      return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to compute alarm management KPIs from the logged alarms
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "analyze-alarm-performance",
+    `Computes the alarm management KPIs of ISA-18.2 from the logged alarms of a time range, instead of returning the raw alarms.
+    The alarms can be restricted with systemNames, and filterString / filterLanguage like in get-logged-alarms.
+    startTime is required; without endTime the range ends now, and the currently active alarms are included for the standing alarms.
+    The log entries of one alarm instance (name, instanceID, raiseTime) are merged into one activation.
+
+    The result contains:
+      alarmRate: activations, average per operator per 10 minutes, per hour and per day, the peak 10 minutes, the number and share of
+        10 minute periods with an alarm flood (more than 10 alarms per operator), and a rating (about 1 alarm per 10 minutes is
+        acceptable, 2 is the maximum manageable). operators is the number of operators sharing the alarm load (default 1).
+      mostFrequent: the topN alarms with the most activations, and their share of all activations.
+      chattering: alarms activated at least chatteringThreshold times within chatteringWindow (default: 3 times within "1m").
+      fleeting: alarms cleared less than fleetingThreshold after they were raised (default "1s").
+      standing: alarms still active at the end of the range for at least standingThreshold (default "24h").
+      timeToAcknowledge, timeToClear: count, mean, median, 90th and 95th percentile and maximum in seconds.
+      distribution: activations by priority range, priority, area and alarm class.
+    Durations are given as e.g. "30s", "10m", "1h", "2 days". The lists are limited to topN entries (default 10).
+    `,
+    {
+      systemNames: z.array(z.string()).optional().default([]),
+      filterString: z.string().optional().default(""),
+      filterLanguage: z.string().optional(),
+      startTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for startTime" }),
+      endTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for endTime" }).optional(),
+      operators: z.number().int().min(1).optional().default(1),
+      topN: z.number().int().min(1).optional().default(10),
+      chatteringThreshold: z.number().int().min(2).optional().default(3),
+      chatteringWindow: z.string().optional().default("1m"),
+      fleetingThreshold: z.string().optional().default("1s"),
+      standingThreshold: z.string().optional().default("24h"),
+    },
+    async ({ systemNames, filterString, filterLanguage = session.language, startTime, endTime, operators, topN, chatteringThreshold, chatteringWindow, fleetingThreshold, standingThreshold }, executionContext) => {
+      console.log(`Tool 'analyze-alarm-performance' called with:`, { systemNames, filterString, filterLanguage, startTime, endTime, operators, topN, chatteringThreshold, chatteringWindow, fleetingThreshold, standingThreshold });
+
+      const untilNow = !endTime;
+      const rangeEnd = endTime || new Date().toISOString();
+      let options;
+      try {
+        if (Date.parse(rangeEnd) <= Date.parse(startTime)) {
+          throw new Error("endTime must be after startTime.");
+        }
+        options = {
+          startTime: Date.parse(startTime),
+          endTime: Date.parse(rangeEnd),
+          operators,
+          topN,
+          chatteringCount: chatteringThreshold,
+          chatteringWindowMs: parseDuration(chatteringWindow),
+          fleetingMs: parseDuration(fleetingThreshold),
+          standingMs: parseDuration(standingThreshold),
+        };
+      } catch (error) {
+        throw new Error(`Failed to analyze alarm performance: ${error.message}`);
+      }
+
+      try {
+        const variables = { systemNames, filterString, filterLanguage, languages: [filterLanguage], startTime, endTime: rangeEnd };
+        const occurrences = new AlarmOccurrences();
+        const { units, fetchUnit } = loggedAlarmsUnits(session.client, paging, variables);
+        await forEachUnit({ units, fetchUnit, concurrency: paging.concurrency, signal: executionContext?.signal }, alarms => occurrences.add(alarms));
+        if (untilNow) {
+          // Alarms raised before startTime without a state change since then are not in the log of the range
+          const data = await session.client.query(standingAlarmsQuery, { systemNames, filterString, filterLanguage, languages: [filterLanguage] });
+          occurrences.add(data.activeAlarms || []);
+        }
+
+        const result = {
+          startTime,
+          endTime: rangeEnd,
+          logEntries: occurrences.entries,
+          ...analyzeAlarmPerformance(occurrences.list(), options),
+        };
+        console.log(`Analyzed ${occurrences.entries} logged alarm entries, ${result.alarmRate.activations} activations.`);
+        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+      } catch (error) {
+        console.error("Error in 'analyze-alarm-performance' tool during GraphQL call:", error);
+        throw new Error(`Failed to analyze alarm performance: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to reconstruct the sequence of events around a point in time or an alarm
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "reconstruct-alarm-sequence",
+    `Reconstructs the sequence of events of the logged alarms around a point in time or an alarm, e.g. for the investigation of a trip.
+    The anchor is either time (ISO 8601), or alarmName (optionally with instanceID): then the latest activation of this alarm within
+    searchRange (default "7d") before time, or before now, is used. The window reaches from "before" until "after" the anchor
+    (default "15m" each). The alarms can be restricted with systemNames, and filterString / filterLanguage like in get-logged-alarms.
+
+    The timeline lists the state changes of all alarm instances in the window in time order: raised, acknowledged, cleared, reset
+    and removed, with the offset to the anchor in seconds. It is limited to maxEvents entries (default 500).
+    Alarm floods are periods in which more than floodThreshold alarms (default 10) were raised within floodWindow (default "10m").
+    For every flood, the result contains its start and end, the number of alarms, the peak rate, the most frequent alarms, and
+    the first-out alarm: the first alarm raised in the flood, which is often closest to the root cause.
+    A flood that starts at the beginning of the window may have started earlier; repeat the call with a larger "before" then.
+
+    The outputFormat parameter selects the format of the timeline: json (default, timeline and summary in one JSON document),
+    csv, markdown (table) or compact (tab-separated text with a header line). In the table formats the summary is returned
+    as separate JSON text.
+    `,
+    {
+      time: z.string().datetime({ message: "Invalid ISO 8601 datetime string for time" }).optional(),
+      alarmName: z.string().optional(),
+      instanceID: z.number().int().optional(),
+      searchRange: z.string().optional().default("7d"),
+      before: z.string().optional().default("15m"),
+      after: z.string().optional().default("15m"),
+      systemNames: z.array(z.string()).optional().default([]),
+      filterString: z.string().optional().default(""),
+      filterLanguage: z.string().optional(),
+      floodThreshold: z.number().int().min(1).optional().default(10),
+      floodWindow: z.string().optional().default("10m"),
+      maxEvents: z.number().int().min(1).optional().default(500),
+      outputFormat: OutputFormatEnumZod.optional().default("json"),
+    },
+    async ({ time, alarmName, instanceID, searchRange, before, after, systemNames, filterString, filterLanguage = session.language, floodThreshold, floodWindow, maxEvents, outputFormat }, executionContext) => {
+      console.log(`Tool 'reconstruct-alarm-sequence' called with:`, { time, alarmName, instanceID, searchRange, before, after, systemNames, filterString, filterLanguage, floodThreshold, floodWindow, maxEvents, outputFormat });
+
+      let beforeMs, afterMs, searchMs, floodWindowMs;
+      try {
+        if (!time && !alarmName) {
+          throw new Error("Either time or alarmName must be provided.");
+        }
+        beforeMs = parseDuration(before);
+        afterMs = parseDuration(after);
+        searchMs = parseDuration(searchRange);
+        floodWindowMs = parseDuration(floodWindow);
+      } catch (error) {
+        throw new Error(`Failed to reconstruct the alarm sequence: ${error.message}`);
+      }
+
+      const signal = executionContext?.signal;
+      const readOccurrences = async (variables) => {
+        const occurrences = new AlarmOccurrences();
+        const { units, fetchUnit } = loggedAlarmsUnits(session.client, paging, variables);
+        await forEachUnit({ units, fetchUnit, concurrency: paging.concurrency, signal }, alarms => occurrences.add(alarms));
+        return occurrences.list();
+      };
+      const isoTime = ms => new Date(ms).toISOString();
+
+      try {
+        const baseVariables = { systemNames, filterString, filterLanguage, languages: [filterLanguage] };
+
+        // The anchor: the given time, or the latest activation of the alarm
+        let anchorTime = time ? Date.parse(time) : Date.now();
+        let anchorOccurrence = null;
+        if (alarmName) {
+          const nameFilter = `Name = '${alarmName.replace(/'/g, "''")}'`;
+          const candidates = (await readOccurrences({
+            ...baseVariables,
+            filterString: filterString ? `(${filterString}) AND ${nameFilter}` : nameFilter,
+            startTime: isoTime(anchorTime - searchMs),
+            endTime: isoTime(anchorTime),
+          })).filter(occurrence => occurrence.name === alarmName && occurrence.raise !== null && occurrence.raise <= anchorTime
+            && (instanceID === undefined || occurrence.instanceID === instanceID));
+          if (candidates.length === 0) {
+            throw new Error(`No activation of alarm '${alarmName}'${instanceID !== undefined ? ` with instanceID ${instanceID}` : ""} found within ${searchRange} before ${isoTime(anchorTime)}.`);
+          }
+          anchorOccurrence = candidates.reduce((latest, occurrence) => occurrence.raise > latest.raise ? occurrence : latest);
+          anchorTime = anchorOccurrence.raise;
+        }
+
+        const startTime = anchorTime - beforeMs;
+        const endTime = anchorTime + afterMs;
+        const occurrences = await readOccurrences({ ...baseVariables, startTime: isoTime(startTime), endTime: isoTime(endTime) });
+        const timeline = buildTimeline(occurrences, { startTime, endTime });
+        const raised = timeline.filter(event => event.event === "raised");
+        const isAnchor = event => anchorOccurrence !== null && event.event === "raised" && event.name === anchorOccurrence.name
+          && event.instanceID === anchorOccurrence.instanceID && event.time === anchorOccurrence.raise;
+
+        const floods = detectFloods(raised, { floodThreshold, floodWindowMs }).map(flood => {
+          const first = flood.events[0];
+          const last = flood.events[flood.events.length - 1];
+          const counts = new Map();
+          for (const event of flood.events) {
+            counts.set(event.name, (counts.get(event.name) || 0) + 1);
+          }
+          return {
+            startTime: isoTime(first.time),
+            endTime: isoTime(last.time),
+            alarms: flood.events.length,
+            peakInFloodWindow: flood.peak,
+            firstOut: { time: isoTime(first.time), name: first.name, instanceID: first.instanceID, eventText: first.eventText, priority: first.priority, area: first.area },
+            mostFrequent: [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([name, count]) => ({ name, count })),
+            ...(first.time < startTime + floodWindowMs ? { mayHaveStartedEarlier: true } : {}),
+          };
+        });
+
+        const events = timeline.slice(0, maxEvents).map(event => ({
+          time: isoTime(event.time),
+          offsetSeconds: Math.round((event.time - anchorTime) / 100) / 10,
+          event: event.event,
+          name: event.name,
+          instanceID: event.instanceID,
+          eventText: event.eventText,
+          priority: event.priority,
+          area: event.area,
+          alarmClassName: event.alarmClassName,
+          ...(isAnchor(event) ? { anchor: true } : {}),
+        }));
+
+        const summary = {
+          anchor: {
+            time: isoTime(anchorTime),
+            ...(anchorOccurrence ? { name: anchorOccurrence.name, instanceID: anchorOccurrence.instanceID, eventText: anchorOccurrence.eventText } : {}),
+          },
+          startTime: isoTime(startTime),
+          endTime: isoTime(endTime),
+          events: timeline.length,
+          raisedAlarms: raised.length,
+          ...(timeline.length > maxEvents ? { truncated: true, returnedEvents: maxEvents } : {}),
+          floods,
+        };
+        console.log(`Reconstructed ${timeline.length} alarm events with ${floods.length} flood(s) around ${summary.anchor.time}.`);
+
+        if (outputFormat === "json") {
+          return { content: [{ type: "text", text: JSON.stringify({ ...summary, timeline: events }, null, 2) }] };
+        }
+        return {
+          content: [
+            { type: "text", text: JSON.stringify(summary, null, 2) },
+            { type: "text", text: formatOutput(outputFormat, { json: events, records: events }) },
+          ],
+        };
+      } catch (error) {
+        console.error("Error in 'reconstruct-alarm-sequence' tool during GraphQL call:", error);
+        throw new Error(`Failed to reconstruct the alarm sequence: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to explain an alarm with its source tag and the tag history
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "explain-alarm",
+    `Collects everything needed to explain why an alarm is (or was) up, in one call.
+    name is the alarm name (SystemName::TagName.ElementPath:AlarmName); instanceID and raiseTime select one instance or activation.
+    The alarm is searched in the active alarms first, then in the logged alarms of searchRange (default "7d") before now,
+    or after raiseTime if given. The result contains:
+      alarm: the full record, e.g. state, priority, alarmClassName, eventText, infoText, origin, area, value, valueLimit,
+        valueQuality, alarmParameterValues, sourceType, changeReason; "found" tells whether it is an active or a logged alarm.
+      sourceTag: the tag the alarm belongs to (resolved with browse from the alarm name), with its data type and current value.
+      history: the logged values of the logging tags of the source tag from "before" the raise time (default "30m") until "after"
+        it (default "10m"), including the value before the window (bounding value); at most maxValues values (default 200).
+      notes: what could not be resolved, e.g. a source tag without logging tags.
+    `,
+    {
+      name: z.string().min(1),
+      instanceID: z.number().int().optional(),
+      raiseTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for raiseTime" }).optional(),
+      searchRange: z.string().optional().default("7d"),
+      before: z.string().optional().default("30m"),
+      after: z.string().optional().default("10m"),
+      maxValues: z.number().int().min(1).optional().default(200),
+      language: z.string().optional(),
+    },
+    async ({ name, instanceID, raiseTime, searchRange, before, after, maxValues, language = session.language }, executionContext) => {
+      console.log(`Tool 'explain-alarm' called with:`, { name, instanceID, raiseTime, searchRange, before, after, maxValues, language });
+
+      let searchMs, beforeMs, afterMs;
+      try {
+        searchMs = parseDuration(searchRange);
+        beforeMs = parseDuration(before);
+        afterMs = parseDuration(after);
+      } catch (error) {
+        throw new Error(`Failed to explain alarm: ${error.message}`);
+      }
+
+      const notes = [];
+      const isoTime = ms => new Date(ms).toISOString();
+      const filterString = `Name = '${name.replace(/'/g, "''")}'`;
+      const matches = alarm => alarm.name === name
+        && (instanceID === undefined || alarm.instanceID === instanceID)
+        && (!raiseTime || Date.parse(alarm.raiseTime) === Date.parse(raiseTime));
+      const latest = alarms => alarms.reduce((best, alarm) => !best
+        || Date.parse(alarm.raiseTime) > Date.parse(best.raiseTime)
+        || (alarm.raiseTime === best.raiseTime && Date.parse(alarm.modificationTime) > Date.parse(best.modificationTime)) ? alarm : best, null);
+
+      try {
+        // The alarm record: active alarm, or the latest log entry of the latest activation
+        let found = "active";
+        let alarm = latest(((await session.client.query(activeAlarmDetailsQuery, { filterString, languages: [language] })).activeAlarms || []).filter(matches));
+        if (!alarm) {
+          found = "logged";
+          const now = Date.now();
+          const startTime = raiseTime ? Date.parse(raiseTime) - 1 : now - searchMs;
+          const endTime = raiseTime ? Math.min(now, Date.parse(raiseTime) + searchMs) : now;
+          const data = await session.client.query(loggedAlarmDetailsQuery, { filterString, languages: [language], startTime: isoTime(startTime), endTime: isoTime(endTime) });
+          alarm = latest((data.loggedAlarms || []).filter(matches));
+        }
+        if (!alarm) {
+          throw new Error(`Alarm '${name}'${instanceID !== undefined ? ` with instanceID ${instanceID}` : ""} is not active and was not found in the alarm log ${raiseTime ? `for raiseTime ${raiseTime}` : `of the last ${searchRange}`}.`);
+        }
+
+        // The source tag, from the most specific part of the alarm name that browse knows
+        const candidates = sourceTagCandidates(name);
+        const browsed = await session.client.query(sourceTagQuery, { names: candidates, loggingTagFilters: candidates.map(candidate => `${candidate}:*`), language });
+        const tag = candidates.map(candidate => (browsed.tags || []).find(object => object.name === candidate)).find(Boolean);
+        let sourceTag = null;
+        let history = null;
+        if (!tag) {
+          notes.push(`The source tag could not be resolved with browse, tried: ${candidates.join(", ")}.`);
+        } else {
+          const valueResult = (await session.client.query(sourceTagValueQuery, { names: [tag.name] })).tagValues?.[0];
+          sourceTag = {
+            ...tag,
+            currentValue: valueResult?.value || null,
+            ...(isErrorResult(valueResult?.error) ? { error: valueResult.error } : {}),
+          };
+
+          const loggingTags = (browsed.loggingTags || []).filter(loggingTag => loggingTag.name.startsWith(`${tag.name}:`)).map(loggingTag => loggingTag.name);
+          const raise = Date.parse(alarm.raiseTime);
+          if (loggingTags.length === 0) {
+            notes.push(`The source tag ${tag.name} has no logging tags, so there is no history.`);
+          } else if (Number.isNaN(raise)) {
+            notes.push("The alarm has no raise time, so the history window is unknown.");
+          } else {
+            const startTime = isoTime(raise - beforeMs);
+            const endTime = isoTime(Math.min(Date.now(), raise + afterMs));
+            const { units, fetchUnit, errors } = loggedTagValuesUnits(session.client, paging, {
+              names: loggingTags, startTime, endTime, sortingMode: "TIME_ASC", boundingValuesMode: "LEFT_BOUNDING_VALUES",
+            });
+            const { items, next } = await collectPage({ units, limit: maxValues, concurrency: paging.concurrency, fetchUnit });
+            history = { startTime, endTime, loggingTags, values: groupLoggedTagValues(items, errors) };
+            if (next) {
+              history.truncated = true;
+              notes.push(`The history was limited to ${maxValues} values, use get-logged-tag-values for the complete history.`);
+            }
+          }
+        }
+
+        console.log(`Explained alarm ${name} (${found}), source tag: ${tag?.name || "not resolved"}`);
+        return { content: [{ type: "text", text: JSON.stringify({ alarm: { found, ...alarm }, sourceTag, history, notes }, null, 2) }] };
+      } catch (error) {
+        console.error("Error in 'explain-alarm' tool during GraphQL call:", error);
+        throw new Error(`Failed to explain alarm: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to acknowledge or reset alarms in WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "acknowledge-alarms",
+    `Acknowledge one or more alarms.
+    Each alarm identifier must have the name of the configured alarm, and optionally an instanceID, which identifies
+    one active instance of the configured alarm. If the instanceID is 0 or not provided, all instances of the given alarm will be acknowledged.
+    If an alarm requires single acknowledgement, only one item can be provided at a time, otherwise the request will be rejected.
+
+    Errors:
+      0 - Success
+      2 - Cannot resolve provided name
+      304 - Invalid object state
+      305 - The alarm cannot be read / acknowledged / reset in current state
+      x - Alarm instance does not exist (where x is the instanceID or an indicator for the alarm name if no instanceID was provided)
+
+    Two-phase confirmation: with preview set to true (or always, if the server requires confirmation), nothing is changed.
+    Instead the current states of the affected alarm instances are returned together with a confirmationToken. To run it,
+    call the tool again with exactly the same input and the confirmationToken. The token expires after a short time,
+    can be used only once and only in this MCP session. Show the preview to the user and only confirm after their approval.
+    `,
+    {
+      input: z.array(AlarmIdentifierInputZod).min(1, "At least one alarm identifier must be provided."),
+      preview: z.boolean().optional().default(false),
+      confirmationToken: z.string().optional(),
+    },
+    async ({ input, preview, confirmationToken }, executionContext) => {
+      console.log(`Tool 'acknowledge-alarms' called by '${session.userName}' with:`, { input, preview, confirmed: !!confirmationToken });
+
+      const graphqlMutation = `
+        mutation AcknowledgeAlarms($input: [AlarmIdentifierInput]!) {
+          acknowledgeAlarms(input: $input) {
+            alarmName
+            alarmInstanceID
+            error {
+              code
+              description
+            }
+          }
+        }
+      `;
+
+      const variables = {
+        input,
+      };
+
+      try {
+        const previewResult = await alarmMutationPreview("acknowledge-alarms", { input, preview, confirmationToken });
+        if (previewResult) {
+          return previewResult;
+        }
+        console.log(`[acknowledge-alarms] Attempting to send mutation to: ${session.client.url}`);
+        const data = await audit.mutate(session, "acknowledge-alarms", graphqlMutation, variables, { confirmed: !!confirmationToken });
+        console.log('Successfully sent acknowledgeAlarms mutation to GraphQL server.');
+        return { content: [{ type: "text", text: JSON.stringify(data.acknowledgeAlarms || [], null, 2) }] };
+      } catch (error) {
+        console.error("Error in 'acknowledge-alarms' tool during GraphQL call:", error);
+        throw new Error(`Failed to acknowledge alarms: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to reset alarms in WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "reset-alarms",
+    `Reset one or more alarms.
+    Each alarm identifier must have the name of the configured alarm, and optionally an instanceID, which identifies
+    one active instance of the configured alarm. If the instanceID is 0 or not provided, all instances of the given alarm will be reset.
+    If an alarm requires single reset, only one item can be provided at a time, otherwise the request will be rejected.
+
+    Errors:
+      0 - Success
+      2 - Cannot resolve provided name
+      304 - Invalid object state
+      305 - The alarm cannot be read / acknowledged / reset in current state
+      x - Alarm instance does not exist (where x is the instanceID or an indicator for the alarm name if no instanceID was provided)
+
+    Two-phase confirmation: with preview set to true (or always, if the server requires confirmation), nothing is changed.
+    Instead the current states of the affected alarm instances are returned together with a confirmationToken. To run it,
+    call the tool again with exactly the same input and the confirmationToken. The token expires after a short time,
+    can be used only once and only in this MCP session. Show the preview to the user and only confirm after their approval.
+    `,
+    {
+      input: z.array(AlarmIdentifierInputZod).min(1, "At least one alarm identifier must be provided."),
+      preview: z.boolean().optional().default(false),
+      confirmationToken: z.string().optional(),
+    },
+    async ({ input, preview, confirmationToken }, executionContext) => {
+      console.log(`Tool 'reset-alarms' called by '${session.userName}' with:`, { input, preview, confirmed: !!confirmationToken });
+
+      const graphqlMutation = `
+        mutation ResetAlarms($input: [AlarmIdentifierInput]!) {
+          resetAlarms(input: $input) {
+            alarmName
+            alarmInstanceID
+            error {
+              code
+              description
+            }
+          }
+        }
+      `;
+
+      const variables = {
+        input,
+      };
+
+      try {
+        const previewResult = await alarmMutationPreview("reset-alarms", { input, preview, confirmationToken });
+        if (previewResult) {
+          return previewResult;
+        }
+        console.log(`[reset-alarms] Attempting to send mutation to: ${session.client.url}`);
+        const data = await audit.mutate(session, "reset-alarms", graphqlMutation, variables, { confirmed: !!confirmationToken });
+        console.log('Successfully sent resetAlarms mutation to GraphQL server.');
+        return { content: [{ type: "text", text: JSON.stringify(data.resetAlarms || [], null, 2) }] };
+      } catch (error) {
+        console.error("Error in 'reset-alarms' tool during GraphQL call:", error);
+        throw new Error(`Failed to reset alarms: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tools to disable and enable configured alarms in WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "disable-alarms",
+    `Disable the creation of new alarm instances for one or more configured alarms.
+    The names must be the names of configured alarms (e.g. "System1::Tank1.Level:HighAlarm"), not of alarm instances.
+    Active instances are not affected. Use enable-alarms to revert.
+    The result lists the alarms that were disabled and, for the failed ones, the error code with its description.
+    ${alarmMutationErrorsDescription}`,
+    {
+      names: z.array(z.string()).min(1, "At least one alarm name must be provided."),
+    },
+    async ({ names }, executionContext) => {
+      console.log(`Tool 'disable-alarms' called by '${session.userName}' with:`, { names });
+
+      const graphqlMutation = `
+        mutation DisableAlarms($names: [String]!) {
+          disableAlarms(names: $names) {
+            alarmName
+            error {
+              code
+              description
+            }
+          }
+        }
+      `;
+
+      try {
+        const summary = await runAlarmMutation("disable-alarms", "disableAlarms", graphqlMutation, { names });
+        return { content: [{ type: "text", text: JSON.stringify(summary, null, 2) }] };
+      } catch (error) {
+        throw new Error(`Failed to disable alarms: ${error.message}`);
+      }
+    }
+  );
+
+  server.tool(
+    "enable-alarms",
+    `Enable the creation of new alarm instances for one or more configured alarms, reverting disable-alarms.
+    The names must be the names of configured alarms (e.g. "System1::Tank1.Level:HighAlarm").
+    The result lists the alarms that were enabled and, for the failed ones, the error code with its description.
+    ${alarmMutationErrorsDescription}`,
+    {
+      names: z.array(z.string()).min(1, "At least one alarm name must be provided."),
+    },
+    async ({ names }, executionContext) => {
+      console.log(`Tool 'enable-alarms' called by '${session.userName}' with:`, { names });
+
+      const graphqlMutation = `
+        mutation EnableAlarms($names: [String]!) {
+          enableAlarms(names: $names) {
+            alarmName
+            error {
+              code
+              description
+            }
+          }
+        }
+      `;
+
+      try {
+        const summary = await runAlarmMutation("enable-alarms", "enableAlarms", graphqlMutation, { names });
+        return { content: [{ type: "text", text: JSON.stringify(summary, null, 2) }] };
+      } catch (error) {
+        throw new Error(`Failed to enable alarms: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tools to shelve and unshelve configured alarms in WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "shelve-alarms",
+    `Shelve all active alarm instances of the provided configured alarms, e.g. to suppress nuisance alarms during commissioning.
+    Shelving causes a notification for all concerned alarm instances. New or updated instances are still reported to subscribers,
+    it is up to the clients to suppress shelved alarms.
+    The names must be the names of configured alarms (e.g. "System1::Tank1.Level:HighAlarm").
+
+    The duration parameter sets after which time the alarms are unshelved automatically, e.g. "30 min", "2h", "1h30m", "1 day"
+    or an ISO 8601 duration like "PT8H". Plain numbers are seconds. If it is not provided, the shelving timeout configured in the runtime is used.
+    The duration must be in the range configured in the runtime, otherwise WinCC Unified rejects the request.
+    The result lists the alarms that were shelved and, for the failed ones, the error code with its description.
+    ${alarmMutationErrorsDescription}`,
+    {
+      names: z.array(z.string()).min(1, "At least one alarm name must be provided."),
+      duration: z.union([z.string(), z.number()]).optional(),
+    },
+    async ({ names, duration }, executionContext) => {
+      console.log(`Tool 'shelve-alarms' called by '${session.userName}' with:`, { names, duration });
+
+      let shelveTimeout;
+      try {
+        shelveTimeout = duration !== undefined ? parseDuration(duration) : 0; // 0 = timeout configured in the runtime
+      } catch (error) {
+        throw new Error(`Failed to shelve alarms: ${error.message}`);
+      }
+
+      const graphqlMutation = `
+        mutation ShelveAlarms($names: [String]!, $shelveTimeout: Timespan) {
+          shelveAlarms(names: $names, shelveTimeout: $shelveTimeout) {
+            alarmName
+            error {
+              code
+              description
+            }
+          }
+        }
+      `;
+
+      try {
+        const summary = await runAlarmMutation("shelve-alarms", "shelveAlarms", graphqlMutation, { names, shelveTimeout });
+        const result = {
+          ...summary,
+          shelveTimeout: shelveTimeout > 0 ? { milliseconds: shelveTimeout, readable: formatDuration(shelveTimeout) } : "runtime default",
+        };
+        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+      } catch (error) {
+        throw new Error(`Failed to shelve alarms: ${error.message}`);
+      }
+    }
+  );
+
+  server.tool(
+    "unshelve-alarms",
+    `Revert the shelving of the provided configured alarms before the shelve timeout elapses.
+    Unshelving causes a notification for all concerned alarm instances.
+    The names must be the names of configured alarms (e.g. "System1::Tank1.Level:HighAlarm").
+    The result lists the alarms that were unshelved and, for the failed ones, the error code with its description.
+    ${alarmMutationErrorsDescription}`,
+    {
+      names: z.array(z.string()).min(1, "At least one alarm name must be provided."),
+    },
+    async ({ names }, executionContext) => {
+      console.log(`Tool 'unshelve-alarms' called by '${session.userName}' with:`, { names });
+
+      const graphqlMutation = `
+        mutation UnshelveAlarms($names: [String]!) {
+          unshelveAlarms(names: $names) {
+            alarmName
+            error {
+              code
+              description
+            }
+          }
+        }
+      `;
+
+      try {
+        const summary = await runAlarmMutation("unshelve-alarms", "unshelveAlarms", graphqlMutation, { names });
+        return { content: [{ type: "text", text: JSON.stringify(summary, null, 2) }] };
+      } catch (error) {
+        throw new Error(`Failed to unshelve alarms: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to wait for a change of the active alarms
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "wait-for-alarm-change",
+    `Waits until the active alarms matching the filter reach the requested condition, or until the timeout is reached.
+    It uses the live alarm mirror of the server (activeAlarms subscription), so no polling is needed.
+
+    The until parameter defines the condition:
+      present - an alarm matching the filter is active (raised and not yet cleared). Returns immediately if there already is one.
+      absent  - no alarm matching the filter is active anymore, e.g. to confirm an alarm cleared after a corrective write.
+                Returns immediately if there is none.
+      change  - any matching alarm is added, modified or removed after the call.
+
+    The filter attributes are combined with AND: namePattern, area and alarmClassName support the wildcards * and ?,
+    textContains searches in the event and info texts, states restricts the alarm states.
+    The result contains whether the condition was met, the waited time, the triggering change and the matching active alarms.
+    `,
+    {
+      until: z.enum(["present", "absent", "change"]).optional().default("present"),
+      namePattern: z.string().optional(),
+      minPriority: z.number().int().min(0).max(16).optional(),
+      maxPriority: z.number().int().min(0).max(16).optional(),
+      states: z.array(AlarmStateEnumZod).optional(),
+      area: z.string().optional(),
+      alarmClassName: z.string().optional(),
+      textContains: z.string().optional(),
+      timeoutSeconds: z.number().min(1).max(3600).optional().default(60),
+    },
+    async ({ until, timeoutSeconds, ...filter }, executionContext) => {
+      console.log(`Tool 'wait-for-alarm-change' called with:`, { until, timeoutSeconds, filter });
+
+      if (!alarmMirror) {
+        throw new Error("The alarm mirror is disabled (ALARM_MIRROR=false), wait-for-alarm-change is not available.");
+      }
+      if (session.connection !== connections.default) {
+        throw new Error(`The alarm mirror follows the connection '${connections.default.name}', wait-for-alarm-change is only available for it.`);
+      }
+
+      const started = Date.now();
+      const activeMatches = () => alarmMirror.list(filter).filter(isConditionActive);
+      const conditionMet = () => until === "present" ? activeMatches().length > 0 : until === "absent" ? activeMatches().length === 0 : false;
+      const result = (satisfied, change) => ({
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            satisfied,
+            until,
+            waitedMs: Date.now() - started,
+            mirrorConnected: alarmMirror.connected,
+            ...(change ? { change: { reason: change.reason, alarm: change.alarm } } : {}),
+            activeAlarms: activeMatches(),
+          }, null, 2)
+        }]
+      });
+
+      if (conditionMet()) {
+        return result(true, null);
+      }
+
+      const change = await new Promise((resolve) => {
+        const finish = (value) => {
+          clearTimeout(timer);
+          alarmMirror.off('change', onChange);
+          executionContext?.signal?.removeEventListener('abort', onAbort);
+          resolve(value);
+        };
+        const onChange = (event) => {
+          if (!matchesAlarmFilter(event.alarm, filter)) {
+            return;
+          }
+          if (until === "change" || conditionMet()) {
+            finish(event);
+          }
+        };
+        const onAbort = () => finish(null);
+        const timer = setTimeout(() => finish(null), timeoutSeconds * 1000);
+        alarmMirror.on('change', onChange);
+        executionContext?.signal?.addEventListener('abort', onAbort);
+      });
+
+      console.log(`Tool 'wait-for-alarm-change' finished after ${Date.now() - started} ms, condition ${change ? "met" : "not met"}.`);
+      return result(!!change, change);
+    }
+  );
+}
@@ -0,0 +1,52 @@
+/*
+ * Tool to query the audit trail of all mutations done through the MCP server.
+*/
+
+import { z } from "zod";
+
+export function registerAuditTools(server, { session, audit }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to query the audit log
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "query-audit-log",
+    `Queries the audit trail of all mutations done through this MCP server: tag writes, alarm acknowledgements and resets,
+    disabling, enabling, shelving and unshelving of alarms, and logins and logouts.
+    Each entry contains the timestamp, the MCP session, the WinCC user the request was attributed to, the tool, the arguments,
+    the outcome (success, partial, failed, rejected) and the per-item results with their WinCC error codes.
+
+    All filters are optional and combined with AND. startTime and endTime are ISO 8601 timestamps.
+    user, tool and name support the wildcards * (any number of characters) and ? (exactly one character);
+    name matches the tag or alarm names of the entry.
+    The most recent maxNumberOfResults entries are returned (0 returns all).
+    The result also reports whether the hash chain of the audit files is intact; a broken chain means that
+    entries were modified, removed or inserted outside of the MCP server.
+    `,
+    {
+      startTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for startTime" }).optional(),
+      endTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for endTime" }).optional(),
+      user: z.string().optional(),
+      tool: z.string().optional(),
+      name: z.string().optional(),
+      mcpSessionId: z.string().optional(),
+      outcome: z.enum(["success", "partial", "failed", "rejected"]).optional(),
+      maxNumberOfResults: z.number().int().min(0).optional().default(100),
+    },
+    async ({ maxNumberOfResults, ...filter }, executionContext) => {
+      console.log(`Tool 'query-audit-log' called by '${session.userName}' with:`, { ...filter, maxNumberOfResults });
+
+      try {
+        const result = await audit.query(filter, maxNumberOfResults);
+        if (!result.chain.valid) {
+          console.warn(`[Audit] Hash chain of the audit trail is broken:`, result.chain.problems);
+        }
+        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+      } catch (error) {
+        console.error("Error in 'query-audit-log' tool:", error);
+        throw new Error(`Failed to query the audit log: ${error.message}`);
+      }
+    }
+  );
+}
@@ -0,0 +1,110 @@
+/*
+ * Tools for the WinCC Unified login of an MCP session.
+*/
+
+import { z } from "zod";
+import { querySessions } from "../lib/sessions.js";
+
+export function registerAuthTools(server, { session, audit }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to log in a user to WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "login-user",
+    `Logs a user in to WinCC Unified using username and password. 
+     Stores the session token for subsequent requests of this MCP session only, other connected clients are not affected.
+     Tag writes and alarm acknowledgements of this session are then attributed to this user.
+     It is optionally, because the MCP server could be started in the way that it is doing automatically a logon with the service account,
+     which is used for sessions that never logged in.
+     `,
+    {
+      username: z.string().min(1, "Username cannot be empty."),
+      password: z.string().min(1, "Password cannot be empty."),
+    },
+    async ({ username, password }, executionContext) => {
+      console.log(`Tool 'login-user' called for username: ${username} (MCP session ${session.id})`);
+
+      try {
+        const identity = await session.login(username, password);
+        console.log(`User '${identity.user.name}' logged in successfully for MCP session ${session.id}. Token stored.`);
+        await audit.record(session, "login-user", { username });
+        return {
+          content: [{
+            type: "text",
+            text: `Login successful. Session token stored for this MCP session, acting as '${identity.user.name}'.`
+          }]
+        };
+      } catch (error) {
+        console.error("Error in 'login-user' tool during GraphQL call:", error);
+        await audit.record(session, "login-user", { username }, { error });
+        throw new Error(`Login attempt failed: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to get information about the WinCC session of this MCP session
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "get-session-info",
+    `Returns which WinCC Unified user this MCP session is acting as: either the user logged in with login-user,
+    or the service account of the MCP server. Also returns when the session token expires and when it was last extended.
+    The details of the session are read from the WinCC Unified server (user groups, auto logoff time).
+    If the allSessions parameter is set to true, all sessions of the current user are returned by the server.
+    `,
+    {
+      allSessions: z.boolean().optional().default(false),
+    },
+    async ({ allSessions }, executionContext) => {
+      console.log(`Tool 'get-session-info' called for MCP session ${session.id}`);
+
+      const info = session.describe();
+      try {
+        info.serverSessions = await querySessions(session.client, allSessions);
+      } catch (error) {
+        console.error("Error in 'get-session-info' tool during GraphQL call:", error);
+        info.serverSessionsError = error.message;
+      }
+      return { content: [{ type: "text", text: JSON.stringify(info, null, 2) }] };
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to log out the user of this MCP session
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "logout-user",
+    `Logs out the user that was logged in with login-user for this MCP session. Afterwards the session acts as the
+    service account of the MCP server again (if one is configured). The service account itself cannot be logged out.
+    If the allSessions parameter is set to true, all WinCC Unified sessions of the user are terminated, otherwise only the current one.
+    `,
+    {
+      allSessions: z.boolean().optional().default(false),
+    },
+    async ({ allSessions }, executionContext) => {
+      console.log(`Tool 'logout-user' called for MCP session ${session.id}, allSessions: ${allSessions}`);
+
+      if (!session.identity) {
+        throw new Error("No user is logged in for this MCP session, it uses the service account.");
+      }
+
+      // The entry is attributed to the user who logs out, not to the service account the session falls back to
+      const identity = session.describe();
+      const userName = session.userName;
+      try {
+        await session.logout(allSessions);
+        await audit.record(session, "logout-user", { userName, allSessions }, { identity });
+        const fallback = session.effectiveIdentity ? ` This session now acts as the service account '${session.userName}'.` : "";
+        return { content: [{ type: "text", text: `User '${userName}' logged out.${fallback}` }] };
+      } catch (error) {
+        console.error("Error in 'logout-user' tool during GraphQL call:", error);
+        await audit.record(session, "logout-user", { userName, allSessions }, { error, identity });
+        throw new Error(`Logout failed: ${error.message}`);
+      }
+    }
+  );
+}
@@ -0,0 +1,156 @@
+/*
+ * Tools to browse the WinCC Unified object model.
+*/
+
+import { z } from "zod";
+import { ObjectTypesEnumZod } from "../lib/schemas.js";
+
+export function registerBrowseTools(server, { session, connections, objectIndex }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to browse objects in WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "browse-objects",
+    `Queries tags, elements, types, alarms, logging tags and basically anything that has a configured name, based on the provided filter criteria.
+    Each filter parameter can be an array, and the logical relation between each item is an "OR" relation.
+    However, the logical relation between each filter parameter is "AND".
+    The nameFilters parameter can be used to search for objects either with exact matching, or with wildcards (*, ?). This parameter can
+    be very powerful: it can be used to filter just on HmiObject level, on specific hierarchy levels on HmiElement level, or Subelement level.
+    Some rules regarding this: "*" matches generally any number of characters. "*::*" matches anything on object level. "*.*" matches
+    anything on element level, but only on the first hierarchy level (e.g. it matches MySystem::MyStucturedTag.ParentElement, but does not
+    match MySystem::MyStructuredTag.ParentElement.ChildElement). "*.**" matches elements on any hierarchy level, also the example before.
+    "*.**:*" matches any subelement. For example, to get all elements and their subelements of a specific tag, one must provide two strings:
+    "MySystem::MyExampleTag.**" and "MySystem::MyExampleTag.**:*". Note, that this example will still exclude MyExampleTag itself.
+    To match anything based on name, the parameter should not be provided, it should be empty, or should contain only "*".
+
+    The baseTypeFilters can be used to filter by object type name, e.g. "MySystem::MyStructureTagType". This will result in all the instances
+    of the provided types. Note: this parameter does not support wildcards.
+
+    The objectTypesFilter parameter can be used to provide some predefined HmiObjectTypes, and only items of this type or of its subtypes
+    will be returned. E.g. providing the generic HmiObjectType TAG can return SIMPLETAGs and STRUCTURETAGs as well. The objectType attribute of the
+    result will contain the exact HmiObjectType (i.e. no generic one). Note, that not all HmiObjectTypes are supported for filtering even if returned in the results.
+
+    The language parameter defines, in which language the display name should be returned. If it is not provided,
+    the language of the WinCC user of this session is used.
+
+    All the parameters have default values, not providing them will result in the usage of these default values. For the filter parameters,
+    it is an empty string, and the default language is "en-US". Providing explicitly null to any of the parameters will result in a rejected request.
+
+    Pay attention to incompatible filters: e.g. mixing the object type "ALARM" with the nameFilter "*.*" will not return any result, because
+    alarms are subElements, and they would be filtered out by this nameFilter.
+
+    Errors:
+      0 - Success
+      1 - Generic error
+      2 - Cannot resolve provided name
+      3 - Argument error
+    `,
+    {
+      nameFilters: z.array(z.string()).optional().default([]),
+      objectTypeFilters: z.array(ObjectTypesEnumZod).optional().default([]),
+      baseTypeFilters: z.array(z.string()).optional().default([]),
+      language: z.string().optional(),
+    },
+    async ({ nameFilters, objectTypeFilters, baseTypeFilters, language = session.language }, executionContext) => {
+      console.log(`Tool 'browse-objects' called with filters:`, { nameFilters, objectTypeFilters, baseTypeFilters, language });
+
+      const graphqlQuery = `
+        query BrowseObjects(
+          $nameFilters: [String],
+          $objectTypeFilters: [ObjectTypesEnum],
+          $baseTypeFilters: [String],
+          $language: String
+        ) {
+          browse(
+            nameFilters: $nameFilters,
+            objectTypeFilters: $objectTypeFilters,
+            baseTypeFilters: $baseTypeFilters,
+            language: $language
+          ) {
+            name
+            displayName
+            objectType
+            dataType
+          }
+        }
+      `;
+
+      const variables = {
+        nameFilters,
+        objectTypeFilters,
+        baseTypeFilters,
+        language,
+      };
+
+      try {
+        const data = await session.client.query(graphqlQuery, variables);
+
+        if (!data.browse) {
+          console.error('GraphQL browse response missing data.browse:', JSON.stringify(data, null, 2));
+          throw new Error("Received an unexpected response structure from GraphQL server for browse query.");
+        }
+
+        console.log('Successfully fetched browse results from GraphQL server. Number of items: ', data.browse.length);
+        return { content:[{ type: "text", text: JSON.stringify(data.browse)}] };
+      } catch (error) {
+        console.error("Error in 'browse-objects' tool during GraphQL call:", error);
+        throw new Error(`Failed to browse objects: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to search the local object index by name and display name
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "search-objects",
+    `Searches tags, elements, alarms, logging tags and other objects by words instead of exact names, e.g. "temperature second boiler"
+    or "Kesseltemperatur". Use it first when the exact object name is not known, instead of trying name filters with browse-objects.
+    The search uses a local index of the object model that the server refreshes in the background. The query is split into words,
+    and every word is matched against the parts of the technical names (split at "::", ".", ":", "_" and camelCase, e.g.
+    "Boiler2.OutletTemp" -> boiler, 2, outlet, temp) and the words of the display names in all indexed languages. Words match exactly,
+    as prefix, as part of a word, or with small typos; English number words also match digits ("second" matches "2").
+
+    objectTypes filters by object type, where TAG and TAGTYPE include their simple and structure variants. dataTypes filters by
+    data type (e.g. "Float", "Bool"). language selects the display name returned for each result, all indexed display names are
+    returned in displayNames. Results are ranked by score, at most limit results are returned.
+
+    The result also contains the state of the index (number of objects, time of the last refresh). Objects created after the last
+    refresh are not found yet, use browse-objects for them.
+    `,
+    {
+      query: z.string().min(1),
+      objectTypes: z.array(ObjectTypesEnumZod).optional().default([]),
+      dataTypes: z.array(z.string()).optional().default([]),
+      language: z.string().optional(),
+      limit: z.number().int().min(1).max(200).optional().default(20),
+    },
+    async ({ query, objectTypes, dataTypes, language, limit }) => {
+      console.log(`Tool 'search-objects' called with:`, { query, objectTypes, dataTypes, language, limit });
+
+      if (!objectIndex) {
+        throw new Error("Failed to search objects: the object index is disabled, it requires the service account (GRAPHQL_USR and GRAPHQL_PWD) and OBJECT_INDEX not set to false.");
+      }
+      if (session.connection !== connections.default) {
+        throw new Error(`Failed to search objects: the object index covers the connection '${connections.default.name}' only, use browse-objects for the others.`);
+      }
+      try {
+        // Before the first refresh there is nothing to search yet
+        if (objectIndex.size === 0) {
+          await objectIndex.refresh();
+        }
+        // Display names in the language of the user, if it is indexed
+        const displayLanguage = language || (objectIndex.languages.includes(session.language) ? session.language : undefined);
+        const results = objectIndex.search(query, { objectTypes, dataTypes, language: displayLanguage, limit });
+        console.log(`Object index search for '${query}' returned ${results.length} results.`);
+        return { content: [{ type: "text", text: JSON.stringify({ results, index: objectIndex.status() }) }] };
+      } catch (error) {
+        console.error("Error in 'search-objects' tool:", error);
+        throw new Error(`Failed to search objects: ${error.message}`);
+      }
+    }
+  );
+}
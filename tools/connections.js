@@ -0,0 +1,36 @@
+/*
+ * Tool to list the WinCC Unified connections of the MCP server.
+*/
+
+export function registerConnectionTools(server, { session, connections }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to list the connections and the user this session acts as on each of them
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "list-connections",
+    `Lists the WinCC Unified servers this MCP server is connected to, e.g. one per plant. For each connection: its name (the value of
+    the connection parameter of the other tools), the GraphQL URL, the WinCC systems it serves (names with these system prefixes are
+    routed to it automatically), whether it is the default connection, and the WinCC user this MCP session acts as on it.
+    `,
+    {},
+    async () => {
+      console.log(`Tool 'list-connections' called (MCP session ${session.id})`);
+
+      const result = connections.list().map(connection => {
+        const identity = connections.run(connection, () => session.describe());
+        return {
+          name: connection.name,
+          url: connection.url,
+          systemNames: connection.systemNames,
+          default: connection === connections.default,
+          user: identity.username || null,
+          identitySource: identity.source,
+          loggedIn: identity.loggedIn || false,
+        };
+      });
+      return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+}
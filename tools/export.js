@@ -0,0 +1,124 @@
+/*
+ * Tool to export logged tag values or logged alarms to a file, for datasets too large to be returned as text.
+*/
+
+import { z } from "zod";
+import { LoggedTagValuesSortingModeEnumZod, LoggedTagValuesBoundingModeEnumZod } from "../lib/schemas.js";
+import { forEachUnit } from "../lib/paging.js";
+import { loggedTagValuesUnits, loggedAlarmsUnits, LOGGED_ALARM_COLUMNS } from "../lib/history.js";
+import { isErrorResult } from "../lib/graphql-client.js";
+import { csvCell, flattenRecord } from "../lib/output-format.js";
+
+const LOGGED_VALUE_COLUMNS = ["loggingTagName", "timestamp", "value", "quality", "subStatus", "flags", "error"];
+
+const csvLine = (columns, record) => columns.map(column => csvCell(record[column])).join(",") + "\r\n";
+
+export function registerExportTools(server, { session, paging, exportStore }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to export logged tag values or logged alarms to a file
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "export-logged-data",
+    `Exports logged tag values or logged alarms of a time range to a file on the MCP server, for reports and analyses that need
+    the full dataset instead of a result in the chat.
+    source selects the query: "tagValues" reads the logged values of the logging tags in names (like get-logged-tag-values,
+    with sortingMode and boundingValuesMode), "alarms" reads the logged alarms (like get-logged-alarms, with systemNames,
+    filterString, filterLanguage and languages). Both startTime and endTime are required.
+    The interval is read in chunks and every chunk is written to the file before the next ones are read, so exports with
+    millions of rows are possible.
+    format is "csv" (default, header line and one line per value or alarm) or "ndjson" (one JSON object per line).
+    With gzip the file is compressed.
+
+    The result contains the number of rows and the size of the file, and an embedded resource winccua://export/{id} with a
+    download link. The link is valid until expiresAt, give it to the user; the content of the file is not returned.
+    `,
+    {
+      source: z.enum(["tagValues", "alarms"]),
+      names: z.array(z.string()).optional(),
+      startTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for startTime" }),
+      endTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for endTime" }),
+      sortingMode: LoggedTagValuesSortingModeEnumZod.optional().default("TIME_ASC"),
+      boundingValuesMode: LoggedTagValuesBoundingModeEnumZod.optional().default("NO_BOUNDING_VALUES"),
+      systemNames: z.array(z.string()).optional().default([]),
+      filterString: z.string().optional().default(""),
+      filterLanguage: z.string().optional(),
+      languages: z.array(z.string()).optional(),
+      format: z.enum(["csv", "ndjson"]).optional().default("csv"),
+      gzip: z.boolean().optional().default(false),
+    },
+    async ({ source, names = [], startTime, endTime, sortingMode, boundingValuesMode, systemNames, filterString, filterLanguage = session.language, languages = [session.language], format, gzip }, executionContext) => {
+      console.log(`Tool 'export-logged-data' called by '${session.userName}' with:`, { source, names, startTime, endTime, sortingMode, boundingValuesMode, systemNames, filterString, filterLanguage, languages, format, gzip });
+
+      if (Date.parse(endTime) <= Date.parse(startTime)) {
+        throw new Error("Failed to export logged data: endTime must be after startTime.");
+      }
+      if (source === "tagValues" && names.length === 0) {
+        throw new Error("Failed to export logged data: names must contain at least one logging tag for source 'tagValues'.");
+      }
+
+      const { entry, writer } = await exportStore.create(session, { source, format, gzip });
+      let rows = 0;
+      try {
+        const signal = executionContext?.signal;
+        if (source === "tagValues") {
+          const { units, fetchUnit, errors } = loggedTagValuesUnits(session.client, paging, { names, startTime, endTime, sortingMode, boundingValuesMode });
+          const toRecord = (loggingTagName, loggedValue) => ({
+            loggingTagName,
+            timestamp: loggedValue.value.timestamp ?? null,
+            value: loggedValue.value.value ?? null,
+            quality: loggedValue.value.quality?.quality ?? null,
+            subStatus: loggedValue.value.quality?.subStatus ?? null,
+            flags: loggedValue.flags || [],
+          });
+          const writeRecord = record => writer.write(format === "csv"
+            ? csvLine(LOGGED_VALUE_COLUMNS, { ...record, flags: record.flags?.join("|") })
+            : JSON.stringify(record) + "\n");
+
+          if (format === "csv") {
+            await writer.write(LOGGED_VALUE_COLUMNS.join(",") + "\r\n");
+          }
+          await forEachUnit({ units, fetchUnit, signal, concurrency: paging.concurrency }, async (items) => {
+            for (const { loggingTagName, loggedValue } of items) {
+              await writeRecord(toRecord(loggingTagName, loggedValue));
+              rows++;
+            }
+          });
+          // Tags that could not be read get one line with their error at the end
+          for (const [loggingTagName, error] of errors) {
+            if (isErrorResult(error)) {
+              await writeRecord({ loggingTagName, error: `${error.code}: ${error.description || ""}` });
+            }
+          }
+        } else {
+          const variables = { systemNames, filterString, filterLanguage, languages, startTime, endTime };
+          const { units, fetchUnit } = loggedAlarmsUnits(session.client, paging, variables);
+          if (format === "csv") {
+            await writer.write(LOGGED_ALARM_COLUMNS.join(",") + "\r\n");
+          }
+          await forEachUnit({ units, fetchUnit, signal, concurrency: paging.concurrency }, async (alarms) => {
+            for (const alarm of alarms) {
+              await writer.write(format === "csv" ? csvLine(LOGGED_ALARM_COLUMNS, flattenRecord(alarm)) : JSON.stringify(alarm) + "\n");
+              rows++;
+            }
+          });
+        }
+        await exportStore.complete(entry, writer, rows);
+      } catch (error) {
+        await exportStore.fail(entry, writer);
+        console.error("Error in 'export-logged-data' tool:", error);
+        throw new Error(`Failed to export logged data: ${error.message}`);
+      }
+
+      const description = exportStore.describe(entry);
+      console.log(`Exported ${rows} rows (${entry.bytes} bytes) to ${entry.filePath}`);
+      return {
+        content: [
+          { type: "text", text: `Exported ${rows} rows (${entry.bytes} bytes) to ${entry.fileName}. Download link, valid until ${entry.expiresAt}: ${description.downloadUrl}` },
+          { type: "resource", resource: { uri: description.uri, mimeType: "application/json", text: JSON.stringify(description, null, 2) } },
+        ],
+      };
+    }
+  );
+}
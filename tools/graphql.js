@@ -0,0 +1,99 @@
+/*
+ * Tools for the parts of the WinCC Unified GraphQL API that no other tool covers: a checked generic query, and the
+ * documentation of the schema.
+*/
+
+import { z } from "zod";
+import { winccSchema, winccSchemaSource, describeSchema } from "../lib/sdl.js";
+import { checkQuery, redactQuery } from "../lib/query-limits.js";
+import { auditItemResults } from "../lib/audit-log.js";
+
+export function registerGraphqlTools(server, { session, audit, queryLimits }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to run a GraphQL query checked against the schema
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "graphql-query",
+    `Runs a GraphQL query against the WinCC Unified GraphQL server with the WinCC user of this session, for data that no other
+    tool returns (e.g. alarmParameterValues, valueLimit, or the sessions of the user). Use describe-schema to find the queries,
+    types and fields.
+    The document must contain exactly one operation; variables are passed with the variables parameter. Before it is sent, the
+    query is validated against the schema of the server, and rejected if it is nested deeper than ${queryLimits.maxDepth || "unlimited"} levels or costs more
+    than ${queryLimits.maxCost || "unlimited"} (every selected field counts 1, the fields selected below a list field count 10 times).
+    Subscriptions and the session fields (login, logout, extendSession) are not supported. ${queryLimits.allowMutations
+      ? "Mutations without a dedicated tool are allowed and recorded in the audit trail; writing tags and changing alarms is rejected, use their tools."
+      : "Mutations are rejected, use the dedicated tools to write tags and change alarms."}
+
+    Returns the data of the query as JSON.
+    `,
+    {
+      query: z.string().min(1),
+      variables: z.record(z.any()).optional().default({}),
+    },
+    async ({ query, variables }) => {
+      // Credentials must not get into the log or the audit trail
+      const redacted = redactQuery(query, variables);
+      console.log(`Tool 'graphql-query' called by '${session.userName}' with:`, redacted);
+
+      let checked;
+      try {
+        checked = checkQuery(winccSchema(), query, queryLimits);
+      } catch (error) {
+        throw new Error(`Failed to run GraphQL query: ${error.message}`);
+      }
+      const mutation = checked.operationType === "mutation";
+      const operation = checked.operationName || "GraphqlQuery";
+
+      let data;
+      try {
+        data = mutation
+          ? await session.client.mutate(query, variables, { operation })
+          : await session.client.query(query, variables, { operation });
+      } catch (error) {
+        console.error("Error in 'graphql-query' tool during GraphQL call:", error);
+        if (mutation) {
+          await audit.record(session, "graphql-query", redacted, { error });
+        }
+        throw new Error(`Failed to run GraphQL query: ${error.message}`);
+      }
+      if (mutation) {
+        // Per-item results of all root fields, so that items failing with a WinCC error code make the outcome "partial"
+        const items = Object.values(data || {}).flatMap(value => Array.isArray(value) ? value : [value]).filter(item => item && typeof item === "object");
+        await audit.record(session, "graphql-query", redacted, { results: auditItemResults(items) });
+      }
+
+      console.log(`GraphQL ${checked.operationType} '${operation}' (depth ${checked.depth}, cost ${checked.cost}) completed.`);
+      return { content: [{ type: "text", text: JSON.stringify(data) }] };
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to show the documentation of the GraphQL schema
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "describe-schema",
+    `Returns the documentation of the WinCC Unified GraphQL schema, for writing queries with graphql-query.
+    Without name: the queries, mutations and subscriptions with a short description, and the names of all types.
+    With a type name (e.g. "LoggedAlarm", "AlarmState", "Quality"): its description and its fields with their types, arguments and
+    descriptions, or the values of an enum.
+    With "Type.field" (e.g. "Query.loggedAlarms", "ActiveAlarm.alarmParameterValues"): the full documentation of the field,
+    including the arguments with their default values, the error codes it can return, and the type it returns.
+    `,
+    {
+      name: z.string().optional(),
+    },
+    async ({ name }) => {
+      console.log(`Tool 'describe-schema' called with:`, { name });
+
+      try {
+        const result = describeSchema(winccSchema(), name);
+        return { content: [{ type: "text", text: JSON.stringify({ schema: winccSchemaSource(), ...result }, null, 2) }] };
+      } catch (error) {
+        throw new Error(`Failed to describe schema: ${error.message}`);
+      }
+    }
+  );
+}
@@ -0,0 +1,30 @@
+/*
+ * Tool to show the redundancy state of the WinCC Unified connection.
+*/
+
+export function registerRedundancyTools(server, { session }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to get the active host and the switchovers of a redundant WinCC Unified pair
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "get-redundancy-state",
+    `Returns the redundancy state of the WinCC Unified connection: whether a backup host is configured, which host (primary or
+    backup) is active and receives all queries and mutations, the last ACTIVE/PASSIVE state reported by each host with the reduState
+    subscription, and the history of switchovers (newest first) with their time and reason (host reported PASSIVE, connection lost,
+    host not reachable by a request). unreachable is set while neither host answers, probing names the host the subscription
+    tries meanwhile. Use it when tools fail with connection errors, or to check where writes are sent to.
+    `,
+    {},
+    async () => {
+      console.log(`Tool 'get-redundancy-state' called (MCP session ${session.id})`);
+
+      const connection = session.connection;
+      const result = connection.redundancy
+        ? { connection: connection.name, redundant: true, ...connection.redundancy.status() }
+        : { connection: connection.name, redundant: false, activeUrl: connection.url };
+      return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+}
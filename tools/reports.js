@@ -0,0 +1,239 @@
+/*
+ * Tool to generate the shift report from the logged alarms, the logged tag values, the active alarms and the audit trail.
+*/
+
+import { z } from "zod";
+import { AlarmFilterZod } from "../lib/schemas.js";
+import { forEachUnit } from "../lib/paging.js";
+import { isErrorResult } from "../lib/graphql-client.js";
+import { parseDuration } from "../lib/durations.js";
+import { aggregateLoggedValues } from "../lib/aggregation.js";
+import { alarmFilterString, combineFilterStrings } from "../lib/alarm-filter.js";
+import { loggedAlarmsUnits, loggedTagValuesUnits, groupLoggedTagValues } from "../lib/history.js";
+import { AlarmOccurrences, analyzeAlarmPerformance } from "../lib/alarm-kpis.js";
+import { shiftReportAlarmFilter, renderShiftReport, SHIFT_REPORT_FORMATS } from "../lib/shift-report.js";
+
+const FILE_EXTENSIONS = { markdown: "md", html: "html" };
+
+const openAlarmsQuery = `
+  query ShiftReportActiveAlarms($systemNames: [String], $filterString: String, $filterLanguage: String, $languages: [String]) {
+    activeAlarms(systemNames: $systemNames, filterString: $filterString, filterLanguage: $filterLanguage, languages: $languages) {
+      name
+      instanceID
+      raiseTime
+      acknowledgmentTime
+      state
+      priority
+      eventText
+      area
+    }
+  }
+`;
+
+// Error message of a report section that could not be collected
+const sectionError = error => ({ error: error.message || String(error) });
+
+export function registerReportTools(server, { session, paging, audit, exportStore, shiftReports }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to generate a shift report
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "generate-shift-report",
+    `Generates the report of a shift and saves it as a file on the MCP server, instead of collecting the data with several tools.
+    report selects a report definition configured on the server${shiftReports.names.length > 0 ? ` (${shiftReports.names.join(", ")})` : " (none are configured)"}
+    with its title, key tags, areas and alarm filter. keyTags, areas, systemNames, filter and filterString add to the definition,
+    without report they define the whole report.
+    The shift ends at endTime (default: now) and starts at startTime, or period before endTime (default: the period of the
+    definition, or "8h"). Durations are given as e.g. "8h", "12h" or "1h30m".
+
+    The report contains:
+      Alarms of the shift: activations from the logged alarms, alarm rate and floods, distribution by priority range and area,
+        and the most frequent alarms.
+      Notable alarms: every activation with at least notablePriority (default: the value of the definition, or 10).
+      Open alarms: the alarms that are active now, if the shift ends now.
+      Key process values: minimum, maximum and average of the logging tags in keyTags (names like in get-logged-tag-values),
+        values of bad quality are skipped.
+      Tag writes: the writes done through this server during the shift, from the audit trail.
+    A section that cannot be read reports its error, the other sections are still generated.
+
+    format is "markdown" (default) or "html" (one self-contained file for printing or mailing). The result contains the report
+    as Markdown, and an embedded resource winccua://export/{id} with the download link of the file, valid until expiresAt.
+    `,
+    {
+      report: shiftReports.names.length > 0 ? z.enum(shiftReports.names).optional() : z.string().optional(),
+      startTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for startTime" }).optional(),
+      endTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for endTime" }).optional(),
+      period: z.string().optional(),
+      title: z.string().optional(),
+      keyTags: z.array(z.string()).optional().default([]),
+      areas: z.array(z.string()).optional().default([]),
+      systemNames: z.array(z.string()).optional().default([]),
+      filter: AlarmFilterZod.optional(),
+      filterString: z.string().optional().default(""),
+      filterLanguage: z.string().optional(),
+      notablePriority: z.number().int().min(0).optional(),
+      format: z.enum(SHIFT_REPORT_FORMATS).optional().default("markdown"),
+    },
+    async ({ report: reportName, startTime, endTime, period, title, keyTags, areas, systemNames, filter, filterString, filterLanguage = session.language, notablePriority, format }, executionContext) => {
+      console.log(`Tool 'generate-shift-report' called with:`, { report: reportName, startTime, endTime, period, title, keyTags, areas, systemNames, filter, filterString, filterLanguage, notablePriority, format });
+
+      let definition, start, end, loggedFilterString, activeFilterString;
+      try {
+        definition = shiftReports.get(reportName);
+        end = endTime ? Date.parse(endTime) : Date.now();
+        start = startTime ? Date.parse(startTime) : end - parseDuration(period || definition.period);
+        if (end <= start) {
+          throw new Error("endTime must be after startTime.");
+        }
+        keyTags = [...new Set([...definition.keyTags, ...keyTags])];
+        areas = [...new Set([...definition.areas, ...areas])];
+        systemNames = [...new Set([...definition.systemNames, ...systemNames])];
+        const alarmFilter = shiftReportAlarmFilter({ filter: filter && definition.filter ? { and: [definition.filter, filter] } : filter || definition.filter, areas });
+        const combinedFilterString = combineFilterStrings(definition.filterString, filterString);
+        loggedFilterString = alarmFilterString({ filter: alarmFilter, filterString: combinedFilterString }, "LoggedAlarm");
+        activeFilterString = alarmFilterString({ filter: alarmFilter, filterString: combinedFilterString }, "ActiveAlarm");
+      } catch (error) {
+        throw new Error(`Failed to generate the shift report: ${error.message}`);
+      }
+
+      const signal = executionContext?.signal;
+      const rangeStart = new Date(start).toISOString();
+      const rangeEnd = new Date(end).toISOString();
+      const untilNow = !endTime || end >= Date.now();
+      const minimumPriority = notablePriority ?? definition.notablePriority;
+      const identity = session.describe();
+
+      const report = {
+        title: title || definition.title || `Shift report ${rangeStart.slice(0, 16).replace("T", " ")} - ${rangeEnd.slice(0, 16).replace("T", " ")}`,
+        report: reportName || null,
+        startTime: rangeStart,
+        endTime: rangeEnd,
+        generatedAt: new Date().toISOString(),
+        user: session.userName,
+        ...(identity.connection ? { connection: identity.connection } : {}),
+        scope: { areas, systemNames, filterString: loggedFilterString, notablePriority: minimumPriority },
+      };
+
+      // Logged alarms: counts and notable activations
+      try {
+        const occurrences = new AlarmOccurrences();
+        const variables = { systemNames, filterString: loggedFilterString, filterLanguage, languages: [filterLanguage], startTime: rangeStart, endTime: rangeEnd };
+        const { units, fetchUnit } = loggedAlarmsUnits(session.client, paging, variables);
+        await forEachUnit({ units, fetchUnit, concurrency: paging.concurrency, signal }, alarms => occurrences.add(alarms));
+        const kpis = analyzeAlarmPerformance(occurrences.list(), { startTime: start, endTime: end, topN: 10 });
+        const notable = occurrences.list()
+          .filter(occurrence => occurrence.raise !== null && occurrence.raise >= start && occurrence.raise < end && (occurrence.priority ?? 0) >= minimumPriority)
+          .sort((a, b) => a.raise - b.raise);
+        const toTimestamp = ms => ms === null ? null : new Date(ms).toISOString();
+        report.alarms = {
+          logEntries: occurrences.entries,
+          alarmRate: kpis.alarmRate,
+          byPriorityRange: kpis.distribution.byPriorityRange,
+          byArea: kpis.distribution.byArea,
+          mostFrequent: kpis.mostFrequent.alarms,
+          notableTotal: notable.length,
+          notable: notable.slice(0, definition.maxNotableAlarms).map(occurrence => ({
+            name: occurrence.name,
+            instanceID: occurrence.instanceID,
+            eventText: occurrence.eventText,
+            priority: occurrence.priority,
+            area: occurrence.area,
+            raiseTime: toTimestamp(occurrence.raise),
+            acknowledgmentTime: toTimestamp(occurrence.acknowledgment),
+            clearTime: toTimestamp(occurrence.clear),
+          })),
+        };
+      } catch (error) {
+        console.error("Error in 'generate-shift-report' tool while reading the logged alarms:", error);
+        report.alarms = sectionError(error);
+      }
+
+      // Active alarms, only meaningful for a shift that ends now
+      if (untilNow) {
+        try {
+          const data = await session.client.query(openAlarmsQuery, { systemNames, filterString: activeFilterString, filterLanguage, languages: [filterLanguage] });
+          const alarms = (data.activeAlarms || [])
+            .map(alarm => ({ ...alarm, eventText: alarm.eventText?.[0] ?? "" }))
+            .sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0) || String(a.raiseTime).localeCompare(String(b.raiseTime)));
+          report.activeAlarms = { alarms, unacknowledged: alarms.filter(alarm => !alarm.acknowledgmentTime || Date.parse(alarm.acknowledgmentTime) <= 0).length };
+        } catch (error) {
+          console.error("Error in 'generate-shift-report' tool while reading the active alarms:", error);
+          report.activeAlarms = sectionError(error);
+        }
+      } else {
+        report.activeAlarms = { error: "The shift does not end now, the alarms active at its end are not known." };
+      }
+
+      // Minimum, maximum and average of the key tags over the whole shift
+      if (keyTags.length > 0) {
+        try {
+          const { units, fetchUnit, errors } = loggedTagValuesUnits(session.client, paging, {
+            names: keyTags, startTime: rangeStart, endTime: rangeEnd, sortingMode: "TIME_ASC", boundingValuesMode: "LEFTRIGHT_BOUNDING_VALUES",
+          });
+          const items = [];
+          await forEachUnit({ units, fetchUnit, concurrency: paging.concurrency, signal }, unitItems => items.push(...unitItems));
+          report.keyTags = {
+            tags: groupLoggedTagValues(items, errors).map(result => {
+              const { loggingTagName } = result;
+              if (isErrorResult(result.error)) {
+                return { loggingTagName, remark: `${result.error.code}: ${result.error.description || ""}` };
+              }
+              const { buckets, samples, skippedBadQuality, nonNumeric } = aggregateLoggedValues(result.values, {
+                startTime: start, endTime: end, bucketMs: end - start, aggregates: ["min", "max", "mean"], skipBadQuality: true,
+              });
+              const remarks = [
+                ...(skippedBadQuality > 0 ? [`${skippedBadQuality} values of bad quality skipped`] : []),
+                ...(nonNumeric > 0 ? [`${nonNumeric} values not numeric`] : []),
+              ];
+              return { loggingTagName, ...buckets[0], samples, remark: remarks.join(", ") };
+            }),
+          };
+        } catch (error) {
+          console.error("Error in 'generate-shift-report' tool while reading the logged tag values:", error);
+          report.keyTags = sectionError(error);
+        }
+      }
+
+      // Tag writes of the audit trail, of the connection of this call
+      try {
+        const { entries } = await audit.query({ startTime: rangeStart, endTime: rangeEnd, tool: "write-tag-values" }, 0);
+        report.writes = {
+          entries: entries
+            .filter(entry => !identity.connection || entry.connection === identity.connection)
+            .map(entry => ({
+              timestamp: entry.timestamp,
+              user: entry.user,
+              tags: (entry.arguments?.input || []).map(item => `${item.name} = ${JSON.stringify(item.value)}`).join(", "),
+              outcome: entry.outcome,
+            })),
+        };
+      } catch (error) {
+        console.error("Error in 'generate-shift-report' tool while reading the audit trail:", error);
+        report.writes = sectionError(error);
+      }
+
+      const markdown = renderShiftReport(report, "markdown");
+      const { entry, writer } = await exportStore.create(session, { source: "shift-report", format: FILE_EXTENSIONS[format], gzip: false });
+      try {
+        await writer.write(format === "markdown" ? markdown : renderShiftReport(report, format));
+        await exportStore.complete(entry, writer, null);
+      } catch (error) {
+        await exportStore.fail(entry, writer);
+        console.error("Error in 'generate-shift-report' tool while saving the report:", error);
+        throw new Error(`Failed to generate the shift report: ${error.message}`);
+      }
+
+      const description = exportStore.describe(entry);
+      console.log(`Saved shift report ${entry.fileName} (${entry.bytes} bytes) to ${entry.filePath}`);
+      return {
+        content: [
+          { type: "text", text: `Saved the shift report to ${entry.fileName} (${entry.bytes} bytes). Download link, valid until ${entry.expiresAt}: ${description.downloadUrl}` },
+          { type: "text", text: markdown },
+          { type: "resource", resource: { uri: description.uri, mimeType: "application/json", text: JSON.stringify(description, null, 2) } },
+        ],
+      };
+    }
+  );
+}
@@ -0,0 +1,504 @@
+/*
+ * Tools to read, write and query the history of WinCC Unified tags.
+*/
+
+import { z } from "zod";
+import { LoggedTagValuesSortingModeEnumZod, LoggedTagValuesBoundingModeEnumZod, QualityInputZod, OutputFormatEnumZod } from "../lib/schemas.js";
+import { collectItemErrors, isErrorResult } from "../lib/graphql-client.js";
+import { auditItemResults } from "../lib/audit-log.js";
+import { parseDuration } from "../lib/durations.js";
+import { aggregateLoggedValues, checkBucketCount, AGGREGATES } from "../lib/aggregation.js";
+import { formatOutput, flattenRecord, OUTPUT_FORMAT_DESCRIPTION } from "../lib/output-format.js";
+import { collectPage, decodeCursor, continuationContent } from "../lib/paging.js";
+import { loggedTagValuesQuery, loggedTagValuesUnits, groupLoggedTagValues } from "../lib/history.js";
+
+const tagDataTypesQuery = `
+  query BrowseTagDataTypes($nameFilters: [String]) {
+    browse(nameFilters: $nameFilters, objectTypeFilters: [TAG]) {
+      name
+      dataType
+    }
+  }
+`;
+
+const directReadQuery = `
+  query DirectReadTagValues($names: [String!]!) {
+    tagValues(names: $names, directRead: true) {
+      name
+      value {
+        value
+        timestamp
+        quality {
+          quality
+          subStatus
+        }
+      }
+      error {
+        code
+        description
+      }
+    }
+  }
+`;
+
+export function registerTagTools(server, { session, writePolicy, confirmations, audit, paging }) {
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to get tag values from WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "get-tag-values",
+    `Queries tag values from WinCC Unified. Based on the provided names list. If directRead is true, values are taken directly from PLC.
+    The nameFilters parameter can be used to search for objects either with exact matching, or with wildcards (*, ?). T his parameter can
+    be very powerful: it can be used to filter just on HmiObject level, on specific hierarchy levels on HmiElement level, or Subelement level.
+    Some rules regarding this: "*" matches generally any number of characters. "*::*" matches anything on object level. "*.*" matches
+    anything on element level, but only on the first hierarchy level (e.g. it matches MySystem::MyStucturedTag.ParentElement, but does not
+    match MySystem::MyStructuredTag.ParentElement.ChildElement). "*.**" matches elements on any hierarchy level, also the example before.
+    "*.**:*" matches any subelement. For example, to get all elements and their subelements of a specific tag, one must provide two strings:
+    "MySystem::MyExampleTag.**" and "MySystem::MyExampleTag.**:*". Note, that this example will still exclude MyExampleTag itself.
+    To match anything based on name, the parameter should not be provided, it should be empty, or should contain only "*".
+
+    The baseTypeFilters can be used to filter by object type name, e.g. "MySystem::MyStructureTagType". This will result in all the instances
+    of the provided types. Note: this parameter does not support wildcards.
+
+    The objectTypesFilter parameter can be used to provide some predefined HmiObjectTypes, and only items of this type or of its subtypes
+    will be returned. E.g. providing the generic HmiObjectType TAG can return SIMPLETAGs and STRUCTURETAGs as well. The objectType attribute of the
+    result will contain the exact HmiObjectType (i.e. no generic one). Note, that not all HmiObjectTypes are supported for filtering even if returned in the results.
+
+    The language parameter defines, in which language the display name should be returned.
+
+    All the parameters have default values, not providing them will result in the usage of these default values. For the filter parameters,
+    it is an empty string, and the default language is "en-US". Providing explicitly null to any of the parameters will result in a rejected request.
+
+    Pay attention to incompatible filters: e.g. mixing the object type "ALARM" with the nameFilter "*.*" will not return any result, because
+    alarms are subElements, and they would be filtered out by this nameFilter.
+
+    Errors:
+      0 - Success
+      1 - Generic error
+      2 - Cannot resolve provided name
+      3 - Argument error
+    ${OUTPUT_FORMAT_DESCRIPTION}`,
+    {
+      names: z.array(z.string()).min(1, "At least one tag name must be provided."),
+      directRead: z.boolean().optional().default(false), // Matches GraphQL default
+      outputFormat: OutputFormatEnumZod.optional().default("json"),
+    },
+    async ({ names, directRead, outputFormat }, executionContext) => {
+      console.log(`Tool 'get-tag-values' called with names: [${names.join(", ")}], directRead: ${directRead}, outputFormat: ${outputFormat}`);
+
+      const graphqlQuery = `
+        query GetTagValues($names: [String!]!, $directRead: Boolean) {
+          tagValues(names: $names, directRead: $directRead) {
+            name
+            value {
+              value
+              timestamp
+              quality {
+                quality
+                subStatus
+                limit
+                extendedSubStatus
+                sourceQuality
+                sourceTime
+                timeCorrected
+              }
+            }
+            error {
+              code
+              description
+            }
+          }
+        }
+      `;
+
+      const variables = {
+        names,
+        directRead,
+      };
+
+      try {
+        const data = await session.client.query(graphqlQuery, variables);
+
+        if (!data.tagValues) {
+          console.error('GraphQL response missing data.tagValues:', JSON.stringify(data, null, 2));
+          throw new Error("Received an unexpected response structure from GraphQL server.");
+        }
+
+        console.log('Successfully fetched tagValues from GraphQL server.');
+        const text = formatOutput(outputFormat, { json: data.tagValues, records: () => data.tagValues.map(tag => flattenRecord(tag)) });
+        return { content: [{ type: "text", text }] };
+      } catch (error) {
+        console.error("Error in 'get-tag-values' tool during GraphQL call:", error);
+        // The McpServer will catch this error and format it as a JSON-RPC error.
+        // Ensure the error message is informative for the client.
+        throw new Error(`Failed to retrieve tag values: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to get logged tag values from WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "get-logged-tag-values",
+    `Queries logged tag values from the database.
+    Names is a mandatory parameter, each name in this list must either be a LoggingTag name or a Tag name.
+    If either of the parameters startTime, endTime and maxNumberOfValues is not provided, it won't be used for filtering.
+    However, at least one of the parameters startTime and endTime must be provided and if only one of them is provided,
+    maxNumberOfValues must be provided, too. If only the startTime is provided, sortingMode must be TIME_ASC,
+    and if only endTime is provided, it must be TIME_DESC, which defines the direction of the search from a point in time.
+    The maxNumberOfValues parameter will be applied also according to this sorting mode, so e.g., in case of TIME_DESC and
+    maxNumberOfValues = 100, maximum 100 values before the endTime will be returned. When both startTime and endTime are provided,
+    the client is free to choose the sortingMode.
+    The default sorting mode is TIME_ASC.
+
+    The boundingValuesMode decides if values bounding the search interval are also returned. For example, if the startTime is today
+    12:00, and LEFT_BOUNDING_VALUES is requested, the last value prior to this time point is also returned, even if it is much earlier,
+    e.g. at yesterday evening. Such values will be marked with the BOUNDING flag in the result. Possible options are: no bounding values,
+    earlier (LEFT), later (RIGHT), or both.
+    The default is NO_BOUNDING_VALUES.
+
+    Returned values can contain specific flags, which further specify attributes of these values. For details, check the descriptions
+    of LoggedTagValueFlagsEnum members.
+
+    Paging: when both startTime and endTime are provided, the server splits the interval into several calls (time chunks and groups
+    of names) and merges the results in sort order. In this case maxNumberOfValues is the maximum number of values returned by one call
+    in total (default: the page size of the server). If more values are available, the result ends with a cursor; call the tool
+    again with the same arguments plus this cursor to get the next values.
+
+    Aggregation: if aggregationInterval is set (e.g. "1 min", "15m", "1h", "1 day"), the raw values are not returned.
+    Instead the interval between startTime and endTime (both required) is split into buckets of this length, and for each bucket
+    the requested aggregates are computed on the server: min, max, mean, timeWeightedAverage, first, last, count, stddev
+    (population standard deviation). Default: all of them. Use this for questions like "hourly average flow yesterday".
+    The time-weighted average uses the bounding values before and after the interval, so the value at the start of the first
+    bucket is known. interpolation decides how the value develops between two samples: "step" holds it until the next sample
+    (default), "linear" interpolates. With skipBadQuality, samples with BAD quality are ignored and the time until the next good
+    sample does not count for the time-weighted average; the coverage attribute then shows which part of the bucket had a known value.
+    sortingMode, maxNumberOfValues and boundingValuesMode are ignored in aggregation mode.
+
+    Every value is returned with its quality and flags, and tags that could not be read are returned with their error.
+    The outputFormat parameter selects the format of the result: compact (default, tab-separated text with one line per value
+    and a header line: loggingTagName, timestamp, value, quality, subStatus, flags), csv, markdown (table) or json (the structure
+    returned by WinCC Unified). In aggregation mode, the default is json.
+
+    Errors:
+      0 - Success
+      1 - Generic error
+      2 - Cannot resolve provided name
+      3 - Argument error
+    `,
+    {
+      names: z.array(z.string()).min(1, "At least one tag name must be provided."),
+      startTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for startTime" }).optional(),
+      endTime: z.string().datetime({ message: "Invalid ISO 8601 datetime string for endTime" }).optional(),
+      maxNumberOfValues: z.number().int().min(0).optional(),
+      sortingMode: LoggedTagValuesSortingModeEnumZod.optional().default("TIME_ASC"),
+      boundingValuesMode: LoggedTagValuesBoundingModeEnumZod.optional().default("NO_BOUNDING_VALUES"),
+      aggregationInterval: z.string().optional(),
+      aggregates: z.array(z.enum(AGGREGATES)).min(1).optional(),
+      interpolation: z.enum(["step", "linear"]).optional().default("step"),
+      skipBadQuality: z.boolean().optional().default(false),
+      outputFormat: OutputFormatEnumZod.optional(),
+      cursor: z.string().optional(),
+    },
+    async ({ names, startTime, endTime, maxNumberOfValues, sortingMode, boundingValuesMode, aggregationInterval, aggregates, interpolation, skipBadQuality, outputFormat, cursor }, executionContext) => {
+      console.log(`Tool 'get-logged-tag-values' called with:`, { names, startTime, endTime, maxNumberOfValues, sortingMode, boundingValuesMode, aggregationInterval, aggregates, interpolation, skipBadQuality, outputFormat, cursor });
+
+      if (aggregationInterval) {
+        return aggregatedLoggedTagValues({ names, startTime, endTime, aggregationInterval, aggregates, interpolation, skipBadQuality, outputFormat: outputFormat || "json" });
+      }
+
+      const pagingArgs = { names, startTime, endTime, maxNumberOfValues, sortingMode, boundingValuesMode };
+      try {
+        let results;
+        let next = null;
+        if (startTime && endTime) {
+          const limit = maxNumberOfValues > 0 ? maxNumberOfValues : paging.pageSize;
+          const start = cursor ? decodeCursor(cursor, pagingArgs) : undefined;
+          ({ results, next } = await fetchLoggedTagValuesPaged({ names, startTime, endTime, sortingMode, boundingValuesMode, limit, start }));
+        } else {
+          // Search from one point in time, WinCC Unified limits the result with maxNumberOfValues
+          if (cursor) {
+            throw new Error("A cursor can only be used when both startTime and endTime are provided.");
+          }
+          const data = await session.client.query(loggedTagValuesQuery, { names, startTime, endTime, maxNumberOfValues, sortingMode, boundingValuesMode });
+          if (!data.loggedTagValues) {
+            console.error('GraphQL loggedTagValues response missing data.loggedTagValues:', JSON.stringify(data, null, 2));
+            throw new Error("Received an unexpected response structure from GraphQL server for loggedTagValues query.");
+          }
+          results = data.loggedTagValues;
+        }
+
+        // One row per value, tags without values or with an error get one row with the error
+        const toRecords = () => results.flatMap(tagResult => {
+          const error = isErrorResult(tagResult.error) ? `${tagResult.error.code}: ${tagResult.error.description || ""}` : undefined;
+          if (!tagResult.values || tagResult.values.length === 0) {
+            return [{ loggingTagName: tagResult.loggingTagName, timestamp: null, value: null, quality: null, subStatus: null, flags: null, ...(error ? { error } : {}) }];
+          }
+          return tagResult.values.filter(loggedValue => loggedValue.value).map(loggedValue => ({
+            loggingTagName: tagResult.loggingTagName,
+            timestamp: loggedValue.value.timestamp ?? null,
+            value: loggedValue.value.value ?? null,
+            quality: loggedValue.value.quality?.quality ?? null,
+            subStatus: loggedValue.value.quality?.subStatus ?? null,
+            flags: (loggedValue.flags || []).join("|"),
+            ...(error ? { error } : {}),
+          }));
+        });
+
+        const text = formatOutput(outputFormat || "compact", { json: results, records: toRecords });
+        console.log("Successfully fetched logged tag values. Number of values: ", results.reduce((sum, tagResult) => sum + (tagResult.values?.length || 0), 0), next ? "(more available)" : "");
+        return { content: [{ type: "text", text }, ...continuationContent(pagingArgs, next)] };
+      } catch (error) {
+        console.error("Error in 'get-logged-tag-values' tool during GraphQL call:", error);
+        throw new Error(`Failed to retrieve logged tag values: ${error.message}`);
+      }
+    }
+  );
+
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+  // Tool to write tag values to WinCC Unified
+  // ------------------------------------------------------------------------------------------------------------------------------------------------
+
+  server.tool(
+    "write-tag-values",
+    `Updates tags, based on the provided TagValueInput list.
+    If a TagValueInput does not define a specific timestamp, the optional timestamp parameter will be used as a fallback. If the optional timestamp parameter is not set, the current time will be used instead. Sample timestamp: '2022-04-27T01:30:32.506Z'
+    If a TagValueInput does not define a specific quality, the optional quality parameter will be used as a fallback. If the optional quality parameter is not set, GOOD quality will be assumed.
+
+    Every write is checked against the write policy of the server first: allowed and denied tag name patterns,
+    min/max limits and allowed data types per tag or pattern, and the maximum number of tags per call.
+    If any tag violates the policy, nothing is written and the violations are returned as error.
+    With dryRun set to true the input is only validated against the policy and nothing is written.
+    After a write, the tags are read back directly from the PLC (unless verify is false) and every tag whose value
+    did not change as intended is reported in verification.mismatches.
+
+    Two-phase confirmation: with preview set to true (or always, if the server requires confirmation), nothing is written.
+    Instead the current and the proposed values are returned together with a confirmationToken. To write, call the tool
+    again with exactly the same input, timestamp and quality and the confirmationToken. The token expires after a short time,
+    can be used only once and only in this MCP session. Show the preview to the user and only confirm after their approval.
+
+    Errors:
+      0 - Success
+      2 - Cannot resolve provided name
+      201 - Cannot convert provided value to data type
+      202 - Only leaf elements of a Structure Tag can be addressed
+    `,
+    {
+      input: z.array(z.object({
+        name: z.string().min(1, "Tag name cannot be empty."),
+        value: z.any(), // GraphQL Variant can be string, number, boolean, etc.
+        timestamp: z.string().datetime({ message: "Invalid ISO 8601 datetime string for timestamp" }).optional(),
+        quality: QualityInputZod.optional(),
+      })).min(1, "At least one tag value input must be provided."),
+      timestamp: z.string().datetime({ message: "Invalid ISO 8601 datetime string for global timestamp" }).optional(),
+      quality: QualityInputZod.optional(),
+      dryRun: z.boolean().optional().default(false),
+      verify: z.boolean().optional().default(true),
+      preview: z.boolean().optional().default(false),
+      confirmationToken: z.string().optional(),
+    },
+    async ({ input, timestamp, quality, dryRun, verify, preview, confirmationToken }, executionContext) => {
+      console.log(`Tool 'write-tag-values' called by '${session.userName}' with:`, { input, timestamp, quality, dryRun, verify, preview, confirmed: !!confirmationToken });
+
+      const names = input.map(item => item.name);
+      let violations;
+      try {
+        const dataTypes = new Map();
+        if (writePolicy.needsDataTypes(names)) {
+          const data = await session.client.query(tagDataTypesQuery, { nameFilters: names });
+          for (const tag of data.browse || []) {
+            dataTypes.set(tag.name, tag.dataType);
+          }
+        }
+        violations = writePolicy.validate(input, dataTypes);
+      } catch (error) {
+        console.error("Error in 'write-tag-values' tool during policy check:", error);
+        throw new Error(`Failed to write tag values: policy check failed: ${error.message}`);
+      }
+
+      if (dryRun) {
+        const result = { dryRun: true, valid: violations.length === 0, violations, policy: writePolicy.describe() };
+        return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+      }
+      if (violations.length > 0) {
+        console.warn(`[write-tag-values] Rejected by write policy:`, violations);
+        await audit.record(session, "write-tag-values", { input, timestamp, quality }, { outcome: "rejected", violations });
+        throw new Error(`Failed to write tag values: rejected by the write policy, nothing was written:\n${violations.map(v => `${v.name ? v.name + ": " : ""}${v.reason}`).join("\n")}`);
+      }
+
+      if (confirmations.wantsPreview({ preview, confirmationToken })) {
+        try {
+          const data = await session.client.query(directReadQuery, { names });
+          const current = new Map((data.tagValues || []).map(tag => [tag.name, tag]));
+          const changes = input.map(({ name, value }) => {
+            const tag = current.get(name);
+            return {
+              name,
+              currentValue: tag?.value?.value ?? null,
+              currentQuality: tag?.value?.quality ?? null,
+              ...(isErrorResult(tag?.error) ? { error: tag.error.description || `Error ${tag.error.code}` } : {}),
+              newValue: value,
+            };
+          });
+          const result = {
+            preview: true,
+            ...confirmations.issue(session, "write-tag-values", { input, timestamp, quality }),
+            changes,
+          };
+          return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+        } catch (error) {
+          console.error("Error in 'write-tag-values' tool during preview:", error);
+          throw new Error(`Failed to preview tag values: ${error.message}`);
+        }
+      }
+      if (confirmationToken) {
+        try {
+          confirmations.consume(session, "write-tag-values", confirmationToken, { input, timestamp, quality });
+        } catch (error) {
+          throw new Error(`Failed to write tag values: ${error.message}`);
+        }
+      }
+
+      const graphqlMutation = `
+        mutation WriteTagValues(
+          $input: [TagValueInput]!,
+          $timestamp: Timestamp,
+          $quality: QualityInput
+        ) {
+          writeTagValues(
+            input: $input,
+            timestamp: $timestamp,
+            quality: $quality
+          ) {
+            name
+            error {
+              code
+              description
+            }
+          }
+        }
+      `;
+
+      const variables = {
+        input,
+        timestamp,
+        quality,
+      };
+
+      let results;
+      try {
+        console.log(`[write-tag-values] Attempting to send mutation to: ${session.client.url}`);
+        const data = await session.client.mutate(graphqlMutation, variables);
+        // Per-item errors are returned within data.writeTagValues, general mutation failures are thrown by the client
+        results = data.writeTagValues || [];
+        console.log('Successfully sent writeTagValues mutation to GraphQL server.');
+      } catch (error) {
+        console.error("Error in 'write-tag-values' tool during GraphQL call:", error);
+        await audit.record(session, "write-tag-values", variables, { error, confirmed: !!confirmationToken });
+        throw new Error(`Failed to write tag values: ${error.message}`);
+      }
+
+      const failed = collectItemErrors(results);
+      const failedNames = new Set(failed.map(item => item.name));
+      const written = input.filter(item => !failedNames.has(item.name));
+      const result = { written: written.map(item => item.name), failed };
+
+      if (verify && written.length > 0) {
+        result.verification = await verifyWrite(written);
+      }
+      await audit.record(session, "write-tag-values", variables, {
+        results: auditItemResults(results),
+        confirmed: !!confirmationToken,
+        ...(result.verification ? { verification: result.verification } : {}),
+      });
+      return { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] };
+    }
+  );
+
+  // Reads logged values in time chunks and groups of names with limited concurrency, merged in sort order.
+  // Returns the results in the structure of loggedTagValues, and the position to continue at if the limit was reached.
+  async function fetchLoggedTagValuesPaged({ limit = Infinity, start, ...query }) {
+    const { units, fetchUnit, errors } = loggedTagValuesUnits(session.client, paging, query);
+    const { items, next } = await collectPage({ units, start, limit, concurrency: paging.concurrency, fetchUnit });
+    return { results: groupLoggedTagValues(items, errors), next };
+  }
+
+  // Aggregation mode of get-logged-tag-values: one list of buckets per logging tag
+  async function aggregatedLoggedTagValues({ names, startTime, endTime, aggregationInterval, aggregates = AGGREGATES, interpolation, skipBadQuality, outputFormat }) {
+    let bucketMs;
+    try {
+      bucketMs = parseDuration(aggregationInterval);
+      if (bucketMs <= 0) {
+        throw new Error("The aggregation interval must be longer than 0.");
+      }
+      if (!startTime || !endTime || Date.parse(endTime) <= Date.parse(startTime)) {
+        throw new Error("Aggregation needs both startTime and endTime, with endTime after startTime.");
+      }
+      // Before the raw values of the whole interval are read
+      checkBucketCount(Date.parse(startTime), Date.parse(endTime), bucketMs);
+    } catch (error) {
+      throw new Error(`Failed to aggregate logged tag values: ${error.message}`);
+    }
+
+    try {
+      const { results } = await fetchLoggedTagValuesPaged({ names, startTime, endTime, sortingMode: "TIME_ASC", boundingValuesMode: "LEFTRIGHT_BOUNDING_VALUES" });
+      const start = Date.parse(startTime);
+      const end = Date.parse(endTime);
+      const result = results.map(tagResult => {
+        if (isErrorResult(tagResult.error)) {
+          return { loggingTagName: tagResult.loggingTagName, error: tagResult.error };
+        }
+        const { buckets, samples, skippedBadQuality, nonNumeric } = aggregateLoggedValues(tagResult.values, {
+          startTime: start, endTime: end, bucketMs, aggregates, skipBadQuality, interpolation,
+        });
+        return {
+          loggingTagName: tagResult.loggingTagName,
+          samples,
+          ...(skippedBadQuality > 0 ? { skippedBadQuality } : {}),
+          ...(nonNumeric > 0 ? { nonNumericSamples: nonNumeric } : {}),
+          buckets,
+        };
+      });
+      console.log(`Successfully aggregated logged tag values of ${result.length} logging tags into buckets of ${bucketMs} ms.`);
+      const text = formatOutput(outputFormat, {
+        json: { startTime, endTime, aggregationInterval, interpolation, skipBadQuality, tags: result },
+        records: () => result.flatMap(tag => tag.error
+          ? [{ loggingTagName: tag.loggingTagName, error: `${tag.error.code}: ${tag.error.description || ""}` }]
+          : tag.buckets.map(bucket => flattenRecord({ loggingTagName: tag.loggingTagName, ...bucket }))),
+      });
+      return { content: [{ type: "text", text }] };
+    } catch (error) {
+      console.error("Error in 'get-logged-tag-values' tool during aggregation:", error);
+      throw new Error(`Failed to aggregate logged tag values: ${error.message}`);
+    }
+  }
+
+  // Reads the written tags back and compares them with the written values
+  async function verifyWrite(written) {
+    await new Promise(resolve => setTimeout(resolve, writePolicy.verify.delayMs));
+    try {
+      const data = await session.client.query(directReadQuery, { names: written.map(item => item.name) });
+      const readBack = new Map((data.tagValues || []).map(tag => [tag.name, tag]));
+      const mismatches = [];
+      for (const { name, value } of written) {
+        const tag = readBack.get(name);
+        if (!tag || isErrorResult(tag.error)) {
+          mismatches.push({ name, written: value, readBack: null, error: tag?.error?.description || "Tag was not returned" });
+        } else if (!writePolicy.matches(value, tag.value?.value)) {
+          mismatches.push({ name, written: value, readBack: tag.value?.value, quality: tag.value?.quality, timestamp: tag.value?.timestamp });
+        }
+      }
+      if (mismatches.length > 0) {
+        console.warn(`[write-tag-values] Read-back verification found ${mismatches.length} mismatch(es):`, mismatches);
+      }
+      return { verified: written.length - mismatches.length, mismatches };
+    } catch (error) {
+      console.error("Error in 'write-tag-values' tool during read-back verification:", error);
+      return { verified: 0, error: `Read-back failed: ${error.message}` };
+    }
+  }
+}